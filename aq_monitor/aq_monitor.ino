@@ -17,12 +17,17 @@
 #include <VOCGasIndexAlgorithm.h>
 #include <WiFi.h>
 #include <HTTPClient.h>
+#include <time.h>
 
 /* ---------- WiFi and Cloudflare Worker settings ---------- */
 const char* ssid = "";     
 const char* password = "";  
 const char* workerUrl = "";  
-const char* authToken = ""; // Your ingress worker secret
+const char* authToken = ""; // Device API key (aqk_...) minted by the backend
+
+/* ---------- device identity (one per monitor) ---------- */
+const char* deviceId    = "den";   // lowercase letters, digits, - or _
+const char* deviceLabel = "Den";   // shown in the dashboard
 
 /* ---------- user-configurable section ---------- */
 constexpr uint8_t  SDA_PIN     = 21;
@@ -55,6 +60,35 @@ uint32_t pm2_5Sum = 0;
 uint32_t pm10Sum = 0;
 int sampleCount = 0;
 
+// One averaged minute, kept until the ingress worker has accepted it
+struct Reading {
+  time_t   timestamp;            // Unix seconds, 0 if NTP hasn't synced yet
+  unsigned long takenAtMillis;   // millis() when buffered, to date it after the sync
+  float    temperature;
+  float    humidity;
+  int32_t  vocIndex;
+  uint16_t rawVoc;
+  uint16_t pm1_0;
+  uint16_t pm2_5;
+  uint16_t pm10;
+  int      sampleCount;
+};
+
+// Ring buffer of unsent readings: 1440 = a day offline (~45 KB).
+// When full, the oldest reading is dropped.
+const size_t BUFFER_CAPACITY = 1440;
+const size_t MAX_READINGS_PER_POST = 60;
+Reading readingBuffer[BUFFER_CAPACITY];
+size_t bufferStart = 0;
+size_t bufferCount = 0;
+
+// A revoked or wrong key (401/403) won't fix itself, so uploads pause for
+// this long instead of resending the same batch every minute. Readings
+// stay buffered until the key is replaced.
+const unsigned long AUTH_RETRY_INTERVAL = 30UL * 60 * 1000;  // 30 minutes
+unsigned long authFailedAt = 0;
+bool authFailed = false;
+
 // Holds the 6 "Atmospheric" mass-concentration readings we care about
 struct PMSData {
   uint16_t pm1_0;
@@ -211,27 +245,90 @@ void setup() {
     Serial.print(".");
   }
   Serial.println("\nConnected to WiFi");
+
+  // UTC from NTP, so buffered readings keep the time they were measured
+  configTime(0, 0, "pool.ntp.org", "time.nist.gov");
+}
+
+time_t currentEpoch() {
+  time_t now = time(nullptr);
+  return now > 1700000000 ? now : 0;   // still 1970 until the first NTP sync
+}
+
+void bufferReading(const Reading &reading) {
+  if (bufferCount == BUFFER_CAPACITY) {
+    bufferStart = (bufferStart + 1) % BUFFER_CAPACITY;
+    bufferCount--;
+    Serial.println("Buffer full, dropped oldest reading");
+  }
+  readingBuffer[(bufferStart + bufferCount) % BUFFER_CAPACITY] = reading;
+  bufferCount++;
+}
+
+String readingToJson(const Reading &r) {
+  String json = "{";
+  if (r.timestamp) json += "\"timestamp\":" + String((unsigned long)r.timestamp) + ",";
+  json += "\"temperature\":" + String(r.temperature, 2) +
+          ",\"humidity\":" + String(r.humidity, 2) +
+          ",\"voc_index\":" + String(r.vocIndex) +
+          ",\"raw_voc\":" + String(r.rawVoc) +
+          ",\"pm1_0\":" + String(r.pm1_0) +
+          ",\"pm2_5\":" + String(r.pm2_5) +
+          ",\"pm10\":" + String(r.pm10) +
+          ",\"sample_count\":" + String(r.sampleCount) + "}";
+  return json;
+}
+
+// Readings taken before the first NTP sync get their time once the clock
+// is set, counting back by millis(). Returns false while it still isn't.
+bool stampBufferedReadings() {
+  time_t now = currentEpoch();
+  if (!now) return false;
+  unsigned long nowMillis = millis();
+  for (size_t i = 0; i < bufferCount; ++i) {
+    Reading &r = readingBuffer[(bufferStart + i) % BUFFER_CAPACITY];
+    if (!r.timestamp) r.timestamp = now - (time_t)((nowMillis - r.takenAtMillis) / 1000);
+  }
+  return true;
 }
 
-void sendDataToCloudflare(float avgTemp, float avgHumidity, int32_t avgVocIndex, uint16_t avgRawVoc,
-                        uint16_t avgPM1_0, uint16_t avgPM2_5, uint16_t avgPM10, int sampleCount) {
-    Serial.println("Attempting to send data");
-  if (WiFi.status() == WL_CONNECTED) {
+// Send buffered readings oldest-first, in batches. The worker deduplicates
+// on (device, timestamp), so a batch that times out can safely be re-sent.
+// Uploads wait for the clock: the worker rejects batched readings without
+// a timestamp, as they would all get the same arrival time.
+void sendDataToCloudflare() {
+  Serial.println("Attempting to send data");
+  if (authFailed && millis() - authFailedAt < AUTH_RETRY_INTERVAL) {
+    Serial.printf("API key was refused; %u readings buffered until the next attempt\n", bufferCount);
+    return;
+  }
+  if (!stampBufferedReadings()) {
+    Serial.printf("Waiting for NTP before sending; %u readings buffered\n", bufferCount);
+    return;
+  }
+  while (bufferCount > 0) {
+    if (WiFi.status() != WL_CONNECTED) {
+      Serial.printf("WiFi not connected! %u readings buffered\n", bufferCount);
+      return;
+    }
+
+    size_t batchSize = min(bufferCount, MAX_READINGS_PER_POST);
+
+    // Create JSON payload
+    String jsonPayload = "{\"device_id\":\"" + String(deviceId) + "\"" +
+                        ",\"device_label\":\"" + String(deviceLabel) + "\"" +
+                        ",\"readings\":[";
+    for (size_t i = 0; i < batchSize; ++i) {
+      if (i) jsonPayload += ",";
+      jsonPayload += readingToJson(readingBuffer[(bufferStart + i) % BUFFER_CAPACITY]);
+    }
+    jsonPayload += "]}";
+
     HTTPClient http;
     http.begin(workerUrl);
     http.addHeader("Content-Type", "application/json");
     http.addHeader("X-Auth-Token", authToken);
 
-    // Create JSON payload
-    String jsonPayload = "{\"temperature\":" + String(avgTemp, 2) + 
-                        ",\"humidity\":" + String(avgHumidity, 2) + 
-                        ",\"voc_index\":" + String(avgVocIndex) + 
-                        ",\"raw_voc\":" + String(avgRawVoc) +
-                        ",\"pm1_0\":" + String(avgPM1_0) +
-                        ",\"pm2_5\":" + String(avgPM2_5) +
-                        ",\"pm10\":" + String(avgPM10) +
-                        ",\"sample_count\":" + String(sampleCount) + "}";
-
     int httpResponseCode = http.POST(jsonPayload);
     
     if (httpResponseCode > 0) {
@@ -241,10 +338,24 @@ void sendDataToCloudflare(float avgTemp, float avgHumidity, int32_t avgVocIndex,
     } else {
       Serial.println("Error sending data: " + String(httpResponseCode));
     }
-    
     http.end();
-  } else {
-    Serial.println("WiFi not connected!");
+
+    // 2xx: stored. 400: every reading was rejected and retrying won't help.
+    // 401/403: the key was refused; keep the readings and back off.
+    // Anything else (no connection, 5xx): keep the readings and retry next time.
+    authFailed = httpResponseCode == 401 || httpResponseCode == 403;
+    if (authFailed) {
+      authFailedAt = millis();
+      Serial.printf("API key refused; pausing uploads, %u readings buffered\n", bufferCount);
+      return;
+    }
+    if ((httpResponseCode >= 200 && httpResponseCode < 300) || httpResponseCode == 400) {
+      bufferStart = (bufferStart + batchSize) % BUFFER_CAPACITY;
+      bufferCount -= batchSize;
+    } else {
+      Serial.printf("%u readings buffered for retry\n", bufferCount);
+      return;
+    }
   }
 }
 
@@ -305,8 +416,9 @@ void loop() {
       Serial.printf("PM10: %u µg/m³\n", avgPM10);
       Serial.printf("Number of samples: %d\n", sampleCount);
 
-      sendDataToCloudflare(avgTemp, avgHumidity, avgVocIndex, avgRawVoc,
-                         avgPM1_0, avgPM2_5, avgPM10, sampleCount);
+      bufferReading({ currentEpoch(), currentMillis, avgTemp, avgHumidity, avgVocIndex, avgRawVoc,
+                      avgPM1_0, avgPM2_5, avgPM10, sampleCount });
+      sendDataToCloudflare();
 
       // Reset sums and counter
       tempSum = 0;
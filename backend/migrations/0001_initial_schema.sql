@@ -0,0 +1,13 @@
+-- sensor_data as it was first created by hand; a no-op on existing databases.
+CREATE TABLE IF NOT EXISTS sensor_data (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  timestamp    TEXT    NOT NULL,
+  temperature  REAL,
+  humidity     REAL,
+  voc_index    REAL,
+  raw_voc      REAL,
+  pm1_0        REAL,
+  pm2_5        REAL,
+  pm10_0       REAL,
+  sample_count INTEGER
+);
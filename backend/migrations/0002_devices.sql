@@ -0,0 +1,14 @@
+-- Per-device readings.
+-- Rows written before devices existed all came from the den monitor.
+ALTER TABLE sensor_data ADD COLUMN device_id TEXT NOT NULL DEFAULT 'den';
+
+CREATE TABLE IF NOT EXISTS devices (
+  id           TEXT PRIMARY KEY,
+  label        TEXT NOT NULL,
+  created_at   TEXT NOT NULL,
+  last_seen_at TEXT
+);
+
+INSERT OR IGNORE INTO devices (id, label, created_at, last_seen_at)
+SELECT 'den', 'Den', COALESCE(MIN(timestamp), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')), MAX(timestamp)
+FROM sensor_data;
@@ -0,0 +1,11 @@
+-- Per-device ingress API keys. Only a SHA-256 of each key is kept.
+CREATE TABLE IF NOT EXISTS device_keys (
+  id           TEXT PRIMARY KEY,          -- public part of the key, aqk_<id>_...
+  device_id    TEXT NOT NULL REFERENCES devices(id),
+  key_hash     TEXT NOT NULL UNIQUE,
+  created_at   TEXT NOT NULL,
+  last_seen_at TEXT,
+  revoked_at   TEXT                       -- may be in the future during rotation
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_keys_device ON device_keys (device_id);
@@ -0,0 +1,6 @@
+-- Batches replayed after an outage may repeat readings; (device_id, timestamp)
+-- identifies a reading. Drop any existing duplicates before enforcing it.
+DELETE FROM sensor_data
+WHERE rowid NOT IN (SELECT MIN(rowid) FROM sensor_data GROUP BY device_id, timestamp);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sensor_data_device_timestamp ON sensor_data (device_id, timestamp);
@@ -0,0 +1,11 @@
+-- Payloads the ingress rejected, kept for diagnosing sensor faults.
+CREATE TABLE IF NOT EXISTS quarantined_readings (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  received_at TEXT NOT NULL,
+  device_id   TEXT,                -- NULL if the payload never named a valid device
+  key_id      TEXT,
+  payload     TEXT NOT NULL,       -- offending reading as JSON, or the raw body
+  errors      TEXT NOT NULL        -- JSON [{ field, error }]
+);
+
+CREATE INDEX IF NOT EXISTS idx_quarantined_readings_received ON quarantined_readings (received_at);
@@ -0,0 +1,44 @@
+-- Hourly and daily summaries maintained by the ingress worker's cron, so
+-- raw rows can be pruned while long-term trends are kept.
+CREATE TABLE IF NOT EXISTS sensor_hourly (
+  device_id    TEXT    NOT NULL,
+  bucket       TEXT    NOT NULL,   -- hour start, e.g. 2024-06-01T13:00:00.000Z
+  readings     INTEGER NOT NULL,   -- sensor_data rows summarised
+  sample_count INTEGER,            -- sum of their sample_count
+  temperature_avg REAL, temperature_min REAL, temperature_max REAL, temperature_p95 REAL,
+  humidity_avg REAL, humidity_min REAL, humidity_max REAL, humidity_p95 REAL,
+  voc_index_avg REAL, voc_index_min REAL, voc_index_max REAL, voc_index_p95 REAL,
+  raw_voc_avg REAL, raw_voc_min REAL, raw_voc_max REAL, raw_voc_p95 REAL,
+  pm1_0_avg REAL, pm1_0_min REAL, pm1_0_max REAL, pm1_0_p95 REAL,
+  pm2_5_avg REAL, pm2_5_min REAL, pm2_5_max REAL, pm2_5_p95 REAL,
+  pm10_0_avg REAL, pm10_0_min REAL, pm10_0_max REAL, pm10_0_p95 REAL,
+  PRIMARY KEY (device_id, bucket)
+);
+
+CREATE TABLE IF NOT EXISTS sensor_daily (
+  device_id    TEXT    NOT NULL,
+  bucket       TEXT    NOT NULL,   -- UTC date, e.g. 2024-06-01
+  readings     INTEGER NOT NULL,   -- sensor_data rows summarised
+  sample_count INTEGER,            -- sum of their sample_count
+  temperature_avg REAL, temperature_min REAL, temperature_max REAL, temperature_p95 REAL,
+  humidity_avg REAL, humidity_min REAL, humidity_max REAL, humidity_p95 REAL,
+  voc_index_avg REAL, voc_index_min REAL, voc_index_max REAL, voc_index_p95 REAL,
+  raw_voc_avg REAL, raw_voc_min REAL, raw_voc_max REAL, raw_voc_p95 REAL,
+  pm1_0_avg REAL, pm1_0_min REAL, pm1_0_max REAL, pm1_0_p95 REAL,
+  pm2_5_avg REAL, pm2_5_min REAL, pm2_5_max REAL, pm2_5_p95 REAL,
+  pm10_0_avg REAL, pm10_0_min REAL, pm10_0_max REAL, pm10_0_p95 REAL,
+  PRIMARY KEY (device_id, bucket)
+);
+
+-- Hours with new or changed raw rows, waiting to be (re)summarised.
+CREATE TABLE IF NOT EXISTS rollup_queue (
+  device_id TEXT NOT NULL,
+  hour      TEXT NOT NULL,
+  queued_at TEXT NOT NULL,
+  PRIMARY KEY (device_id, hour)
+);
+
+-- Summarise everything already stored on the first runs.
+INSERT OR IGNORE INTO rollup_queue (device_id, hour, queued_at)
+SELECT DISTINCT device_id, strftime('%Y-%m-%dT%H:00:00.000Z', timestamp), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM sensor_data;
@@ -0,0 +1,21 @@
+-- Retention overrides set through /api/admin/retention. A tier without a
+-- row falls back to the ingress worker's RETENTION_<TIER>_DAYS variable.
+CREATE TABLE IF NOT EXISTS retention_policies (
+  tier       TEXT    PRIMARY KEY CHECK (tier IN ('raw', 'hourly', 'daily')),
+  days       INTEGER NOT NULL CHECK (days >= 0),   -- 0 keeps everything
+  updated_at TEXT    NOT NULL
+);
+
+-- One row per tier per retention run, for the retention report.
+CREATE TABLE IF NOT EXISTS retention_runs (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  ran_at          TEXT    NOT NULL,
+  tier            TEXT    NOT NULL,
+  days            INTEGER NOT NULL,   -- policy in effect
+  cutoff          TEXT,               -- NULL when nothing expires
+  deleted         INTEGER NOT NULL,
+  complete        INTEGER NOT NULL,   -- 0 if the chunk budget ran out
+  oldest_remaining TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_runs_ran_at ON retention_runs (ran_at);
@@ -0,0 +1,46 @@
+-- Threshold alerts, evaluated by the ingress worker as readings arrive.
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  name             TEXT    NOT NULL,
+  device_id        TEXT,                -- NULL applies to every device
+  metric           TEXT    NOT NULL,    -- sensor_data column, e.g. pm2_5
+  comparison       TEXT    NOT NULL CHECK (comparison IN ('>', '>=', '<', '<=')),
+  threshold        REAL    NOT NULL,
+  duration_minutes INTEGER NOT NULL DEFAULT 0,    -- breach must last this long
+  cooldown_minutes INTEGER NOT NULL DEFAULT 60,   -- minimum gap between firings
+  enabled          INTEGER NOT NULL DEFAULT 1,
+  created_at       TEXT    NOT NULL
+);
+
+-- Every enabled webhook receives every notification.
+CREATE TABLE IF NOT EXISTS alert_webhooks (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  name       TEXT    NOT NULL,
+  kind       TEXT    NOT NULL CHECK (kind IN ('json', 'slack', 'ntfy')),
+  url        TEXT    NOT NULL,
+  enabled    INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT    NOT NULL
+);
+
+-- Where each rule stands for each device.
+CREATE TABLE IF NOT EXISTS alert_state (
+  rule_id         INTEGER NOT NULL,
+  device_id       TEXT    NOT NULL,
+  status          TEXT    NOT NULL CHECK (status IN ('ok', 'pending', 'firing')),
+  breach_since    TEXT,               -- first reading of the current breach
+  last_fired_at   TEXT,
+  last_reading_at TEXT    NOT NULL,   -- newest reading evaluated
+  PRIMARY KEY (rule_id, device_id)
+);
+
+CREATE TABLE IF NOT EXISTS alert_events (
+  id        INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_id   INTEGER NOT NULL,
+  device_id TEXT    NOT NULL,
+  event     TEXT    NOT NULL CHECK (event IN ('firing', 'resolved')),
+  at        TEXT    NOT NULL,   -- timestamp of the reading that triggered it
+  value     REAL,
+  message   TEXT    NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_at ON alert_events (at);
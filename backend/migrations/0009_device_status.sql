@@ -0,0 +1,8 @@
+-- How often each monitor reports, and how many missed reports make it
+-- stale or offline (/api/status, offline notifications).
+ALTER TABLE devices ADD COLUMN report_interval_seconds INTEGER NOT NULL DEFAULT 60;
+ALTER TABLE devices ADD COLUMN stale_after_intervals   INTEGER NOT NULL DEFAULT 3;
+ALTER TABLE devices ADD COLUMN offline_after_intervals INTEGER NOT NULL DEFAULT 10;
+
+-- Set when the offline notification went out; cleared once it is back.
+ALTER TABLE devices ADD COLUMN offline_notified_at TEXT;
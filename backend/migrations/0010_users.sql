@@ -0,0 +1,15 @@
+-- Dashboard accounts. Passwords are PBKDF2-SHA256 over the SHA-256 the
+-- login form sends, stored as pbkdf2-sha256$<iterations>$<salt>$<hash>.
+CREATE TABLE IF NOT EXISTS users (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+  username          TEXT    NOT NULL UNIQUE COLLATE NOCASE,
+  role              TEXT    NOT NULL CHECK (role IN ('viewer', 'admin')),
+  password_hash     TEXT,               -- NULL until the invite is accepted
+  invite_hash       TEXT,               -- SHA-256 of the pending invite/reset token
+  invite_expires_at TEXT,
+  created_at        TEXT    NOT NULL,
+  last_login_at     TEXT,
+  disabled_at       TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_invite ON users (invite_hash);
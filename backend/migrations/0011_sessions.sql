@@ -0,0 +1,17 @@
+-- One row per signed-in browser. The refresh token lives in an HttpOnly
+-- cookie and rotates on every use; the hash it replaced is kept so a stolen
+-- copy being replayed revokes the session.
+CREATE TABLE IF NOT EXISTS sessions (
+  id            TEXT    PRIMARY KEY,
+  user_id       INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  refresh_hash  TEXT    NOT NULL,     -- SHA-256 of the current refresh token
+  previous_hash TEXT,
+  rotated_at    TEXT,
+  created_at    TEXT    NOT NULL,
+  last_used_at  TEXT    NOT NULL,
+  expires_at    TEXT    NOT NULL,
+  revoked_at    TEXT,
+  user_agent    TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
@@ -0,0 +1,9 @@
+-- Failed sign-ins per client IP ('ip:<address>') and across all clients
+-- ('global'). Past a free allowance each failure locks the key for twice as
+-- long as the one before; a quiet spell resets the count.
+CREATE TABLE IF NOT EXISTS login_throttle (
+  key             TEXT    PRIMARY KEY,
+  failures        INTEGER NOT NULL,
+  last_failure_at TEXT    NOT NULL,
+  locked_until    TEXT
+);
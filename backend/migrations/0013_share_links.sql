@@ -0,0 +1,15 @@
+-- Read-only links to one device's readings for guests and wall displays.
+-- Only the SHA-256 of the token is stored; the link is shown once.
+CREATE TABLE IF NOT EXISTS share_links (
+  id           TEXT    PRIMARY KEY,
+  token_hash   TEXT    NOT NULL UNIQUE,
+  label        TEXT    NOT NULL,
+  device_id    TEXT    NOT NULL REFERENCES devices (id) ON DELETE CASCADE,
+  metrics      TEXT    NOT NULL,      -- JSON array of sensor_data columns
+  max_hours    INTEGER NOT NULL,      -- how far back the link may look
+  expires_at   TEXT,                  -- NULL: until revoked
+  created_by   INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  created_at   TEXT    NOT NULL,
+  last_used_at TEXT,
+  revoked_at   TEXT
+);
@@ -0,0 +1,4 @@
+-- (device_id, timestamp) only helps when a device is named. Reads across
+-- every room (/api/data, /api/export, the since cursor) and raw retention
+-- filter on the timestamp alone.
+CREATE INDEX IF NOT EXISTS idx_sensor_data_timestamp ON sensor_data (timestamp);
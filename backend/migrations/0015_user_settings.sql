@@ -0,0 +1,8 @@
+-- Display preferences per user: temperature unit, dew point, and the comfort
+-- ranges and limits that color readings and mark the charts. `settings` is
+-- JSON holding only what the user changed; the backend fills in defaults.
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id    INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  settings   TEXT    NOT NULL,
+  updated_at TEXT    NOT NULL
+);
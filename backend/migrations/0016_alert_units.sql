@@ -0,0 +1,9 @@
+-- Temperature rules compare in the unit they were written in, and their
+-- events record values in it; readings themselves stay in °F. NULL for
+-- every other metric.
+ALTER TABLE alert_rules ADD COLUMN unit TEXT CHECK (unit IN ('F', 'C'));
+ALTER TABLE alert_events ADD COLUMN unit TEXT CHECK (unit IN ('F', 'C'));
+
+UPDATE alert_rules SET unit = 'F' WHERE metric = 'temperature';
+UPDATE alert_events SET unit = 'F'
+WHERE rule_id IN (SELECT id FROM alert_rules WHERE metric = 'temperature');
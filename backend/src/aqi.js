@@ -0,0 +1,152 @@
+// src/aqi.js -------------------------------------------------------------
+// US EPA Air Quality Index for particulates, using the breakpoints of the
+// 2024 PM NAAQS revision, and the NowCast used for "current" AQI (EPA
+// Technical Assistance Document for the Reporting of Daily Air Quality,
+// May 2024).
+import { deviceFilter } from './query.js'
+
+export const AQI_CATEGORIES = [
+  'Good',
+  'Moderate',
+  'Unhealthy for Sensitive Groups',
+  'Unhealthy',
+  'Very Unhealthy',
+  'Hazardous',
+]
+
+/* [Clow, Chigh, Ilow, Ihigh, category index]; concentrations in µg/m³ */
+const BREAKPOINTS = {
+  pm2_5: [
+    [0.0, 9.0, 0, 50, 0],
+    [9.1, 35.4, 51, 100, 1],
+    [35.5, 55.4, 101, 150, 2],
+    [55.5, 125.4, 151, 200, 3],
+    [125.5, 225.4, 201, 300, 4],
+    [225.5, 325.4, 301, 500, 5],
+  ],
+  pm10_0: [
+    [0, 54, 0, 50, 0],
+    [55, 154, 51, 100, 1],
+    [155, 254, 101, 150, 2],
+    [255, 354, 151, 200, 3],
+    [355, 424, 201, 300, 4],
+    [425, 604, 301, 500, 5],
+  ],
+}
+
+/* Concentrations are truncated before lookup: PM2.5 to 0.1, PM10 to 1 */
+const TRUNCATE = {
+  pm2_5: c => Math.floor(c * 10) / 10,
+  pm10_0: c => Math.floor(c),
+}
+
+/* { aqi, category } for a concentration; above the scale caps at 500 */
+export function aqiFor(pollutant, concentration) {
+  if (concentration === null || concentration === undefined) return null
+  const c = TRUNCATE[pollutant](Math.max(0, concentration))
+  const table = BREAKPOINTS[pollutant]
+  const [cLow, cHigh, iLow, iHigh, category] =
+    table.find(([, high]) => c <= high) ?? table[table.length - 1]
+
+  const aqi = Math.min(500, Math.round(((iHigh - iLow) / (cHigh - cLow)) * (c - cLow) + iLow))
+  return { aqi, category: AQI_CATEGORIES[category] }
+}
+
+/**
+ * NowCast from hourly means, most recent first (null for hours without
+ * data). Needs two of the three latest hours; weights older hours by
+ * max(min/max, 0.5) per hour of age.
+ */
+export function nowCast(hourly) {
+  const recent = hourly.slice(0, 12)
+  if (recent.slice(0, 3).filter(c => c !== null).length < 2) return null
+
+  const present = recent.filter(c => c !== null)
+  const max = Math.max(...present)
+  const weight = max === 0 ? 1 : Math.max(Math.min(...present) / max, 0.5)
+
+  let sum = 0
+  let weights = 0
+  recent.forEach((c, hoursAgo) => {
+    if (c === null) return
+    sum += c * weight ** hoursAgo
+    weights += weight ** hoursAgo
+  })
+  return sum / weights
+}
+
+/* Mean of hourly means, or null under the 75% (18 of 24 hours) completeness rule */
+function dailyMean(hourly) {
+  const present = hourly.slice(0, 24).filter(c => c !== null)
+  if (present.length < 18) return null
+  return present.reduce((sum, c) => sum + c, 0) / present.length
+}
+
+function pollutantSummary(pollutant, hourly) {
+  const nowcast = nowCast(hourly)
+  const current = aqiFor(pollutant, nowcast)
+  const avg24h = dailyMean(hourly)
+  const daily = aqiFor(pollutant, avg24h)
+  return {
+    nowcast,
+    aqi: current?.aqi ?? null,
+    category: current?.category ?? null,
+    avg_24h: avg24h,
+    aqi_24h: daily?.aqi ?? null,
+    category_24h: daily?.category ?? null,
+  }
+}
+
+export const AQI_POLLUTANTS = ['pm2_5', 'pm10_0']
+
+/**
+ * AQI per device for the 24 hours up to `now`. Hours are trailing
+ * 60-minute windows (hour 0 ends now) rather than clock hours, so the
+ * index follows the latest readings instead of lagging up to an hour.
+ * Only `pollutants` are reported and considered for the overall index.
+ */
+export async function queryAqi(db, devices, { now = new Date(), pollutants = AQI_POLLUTANTS } = {}) {
+  const filter = deviceFilter(devices)
+  const to = now.toISOString()
+  const from = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString()
+
+  const { results } = await db.prepare(`
+    SELECT device_id,
+           (CAST(strftime('%s', ?) AS INTEGER) - CAST(strftime('%s', timestamp) AS INTEGER)) / 3600 AS hours_ago,
+           AVG(pm2_5) AS pm2_5,
+           AVG(pm10_0) AS pm10_0
+    FROM sensor_data
+    WHERE timestamp > ? AND timestamp <= ?${filter.sql}
+    GROUP BY device_id, hours_ago
+  `).bind(to, from, to, ...filter.params).all()
+
+  const byDevice = new Map()
+  for (const row of results) {
+    if (!byDevice.has(row.device_id)) {
+      byDevice.set(row.device_id, { pm2_5: Array(24).fill(null), pm10_0: Array(24).fill(null) })
+    }
+    const hours = byDevice.get(row.device_id)
+    hours.pm2_5[row.hours_ago] = row.pm2_5
+    hours.pm10_0[row.hours_ago] = row.pm10_0
+  }
+
+  return [...byDevice.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([deviceId, hours]) => {
+      const summaries = pollutants.map(p => [p, pollutantSummary(p, hours[p])])
+
+      // The reported AQI is the worse of the pollutants
+      const [pollutant, worst] = summaries
+        .filter(([, p]) => p.aqi !== null)
+        .sort(([, a], [, b]) => b.aqi - a.aqi)[0] ?? [null, null]
+
+      return {
+        device_id: deviceId,
+        computed_at: to,
+        aqi: worst?.aqi ?? null,
+        category: worst?.category ?? null,
+        pollutant,
+        ...Object.fromEntries(summaries),
+      }
+    })
+}
@@ -0,0 +1,69 @@
+// src/auth.js ------------------------------------------------------------
+// Password hashing and the per-request user/session check behind the JWT
+// guard.
+import { randomHex, sha256Hex, timingSafeEqualHex, toHex } from './crypto.js'
+
+/* Workers cap PBKDF2 at 100k iterations */
+const PBKDF2_ITERATIONS = 100000
+
+export const ROLES = ['viewer', 'admin']
+
+/* Invite and reset links stay valid this long */
+export const INVITE_TTL_HOURS = 7 * 24
+
+async function pbkdf2Hex(secret, saltHex, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits'])
+  const salt = new Uint8Array(saltHex.match(/../g).map(h => parseInt(h, 16)))
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256)
+  return toHex(bits)
+}
+
+/* password → 'pbkdf2-sha256$<iterations>$<salt>$<hash>' with a fresh salt */
+export async function hashPassword(password) {
+  const salt = randomHex(16)
+  return `pbkdf2-sha256$${PBKDF2_ITERATIONS}$${salt}$${await pbkdf2Hex(password, salt, PBKDF2_ITERATIONS)}`
+}
+
+/* Checked instead of a missing hash (unknown username, pending invite), so
+   that a failed sign-in costs the same whether or not the account exists */
+const DUMMY_HASH = `pbkdf2-sha256$${PBKDF2_ITERATIONS}$${'0'.repeat(32)}$${'0'.repeat(64)}`
+
+export async function verifyPassword(password, stored) {
+  const usable = /^pbkdf2-sha256\$\d+\$[0-9a-f]+\$[0-9a-f]+$/.test(stored || '')
+  const [, iterations, salt, hash] = (usable ? stored : DUMMY_HASH).split('$')
+  const match = timingSafeEqualHex(await pbkdf2Hex(password, salt, Number(iterations)), hash)
+  return usable && match
+}
+
+/* New invite/reset token and the columns that record it */
+export async function mintInvite(now = Date.now()) {
+  const token = `inv_${randomHex(24)}`
+  return {
+    token,
+    hash: await sha256Hex(token),
+    expiresAt: new Date(now + INVITE_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+  }
+}
+
+/* After jwt(): load the token's user and session, rejecting disabled or
+   deleted accounts and signed-out sessions */
+export async function loadUser(c, next) {
+  const { sub, sid } = c.get('jwtPayload') || {}
+  const user = sub && sid && await c.env.DB.prepare(`
+    SELECT u.id, u.username, u.role, u.disabled_at, s.revoked_at
+    FROM users u JOIN sessions s ON s.user_id = u.id
+    WHERE u.id = ? AND s.id = ?
+  `).bind(sub, sid).first()
+
+  if (!user || user.disabled_at || user.revoked_at) return c.json({ error: 'Unauthorized' }, 401)
+  c.set('user', { id: user.id, username: user.username, role: user.role })
+  c.set('sessionId', sid)
+  await next()
+}
+
+export function requireRole(role) {
+  return async (c, next) => {
+    if (c.get('user')?.role !== role) return c.json({ error: 'Forbidden' }, 403)
+    await next()
+  }
+}
@@ -0,0 +1,71 @@
+// src/averages.js --------------------------------------------------------
+// Daily, weekly and monthly means per device for /api/daily-averages.
+// Periods start at local midnight in the requested time zone, so they are
+// built from hourly buckets (rollups plus raw rows for hours not rolled up
+// yet) rather than the UTC-day sensor_daily rollup, weighting each bucket
+// by its readings. Zones that are not a whole number of hours off UTC use
+// quarter-hour buckets instead. Those come from raw rows only, so they
+// reach back as far as raw retention.
+import { queryHistory } from './history.js'
+import { isoDate, localTime, wholeHourOffset } from './zone.js'
+
+export const PERIODS = ['day', 'week', 'month']
+
+/* Response column → metric */
+const AVERAGES = {
+  avg_temperature: 'temperature',
+  avg_humidity: 'humidity',
+  avg_voc_index: 'voc_index',
+  avg_pm1_0: 'pm1_0',
+  avg_pm2_5: 'pm2_5',
+  avg_pm10: 'pm10_0',
+}
+
+/* day → YYYY-MM-DD, week → the date of its Monday, month → YYYY-MM */
+function periodOf(t, period) {
+  if (period === 'month') return isoDate(t).slice(0, 7)
+  if (period === 'week') return new Date(Date.UTC(t.year, t.month - 1, t.day - t.weekday)).toISOString().slice(0, 10)
+  return isoDate(t)
+}
+
+/**
+ * `[{ date, device_id, avg_<metric>... }]` for [from, to], oldest first.
+ * `date` names the period as above; a bucket belongs to the period its
+ * start falls in.
+ */
+export async function queryAverages(db, { from, to, devices, timeZone, period }) {
+  const resolution = wholeHourOffset(timeZone, from, to) ? '1h' : '15m'
+  const buckets = await queryHistory(db, { from, to, devices, resolution })
+  const local = localTime(timeZone)
+
+  // The first bucket may start before a `from` that is not on its boundary
+  const first = periodOf(local(from), period)
+
+  const groups = new Map()
+  for (const row of buckets) {
+    const date = periodOf(local(row.timestamp), period)
+    if (date < first) continue
+
+    const key = `${date}|${row.device_id}`
+    if (!groups.has(key)) groups.set(key, { date, device_id: row.device_id, sums: {} })
+    const { sums } = groups.get(key)
+
+    for (const [column, metric] of Object.entries(AVERAGES)) {
+      if (row[metric] === null) continue
+      const acc = sums[column] ?? (sums[column] = { sum: 0, n: 0 })
+      acc.sum += row[metric] * row.readings
+      acc.n += row.readings
+    }
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => a.date.localeCompare(b.date) || a.device_id.localeCompare(b.device_id))
+    .map(({ date, device_id, sums }) => ({
+      date,
+      device_id,
+      ...Object.fromEntries(Object.keys(AVERAGES).map(column => [
+        column,
+        sums[column] ? sums[column].sum / sums[column].n : null,
+      ])),
+    }))
+}
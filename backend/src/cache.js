@@ -0,0 +1,62 @@
+// src/cache.js -----------------------------------------------------------
+// Edge cache and ETag revalidation for the authenticated read routes.
+import { sha256Hex } from './crypto.js'
+
+const CACHE_NAME = 'api-cache'
+
+/* The same query in any parameter order shares an entry, and every user
+   gets their own so one account's response is never served to another */
+function cacheKey(c) {
+  const url = new URL(c.req.url)
+  url.searchParams.sort()
+  const owner = c.get('user')?.id ?? 'public'
+  return `${url.origin}/cache/${owner}${url.pathname}?${url.searchParams}`
+}
+
+function matchesEtag(header, etag) {
+  if (!header) return false
+  return header.split(',').some(tag => {
+    tag = tag.trim()
+    return tag === '*' || tag.replace(/^W\//, '') === etag
+  })
+}
+
+/**
+ * Serve from the edge cache for `maxAge` seconds, tag responses with a
+ * content ETag and answer a matching If-None-Match with 304. Browsers may
+ * keep a private copy but revalidate it on every use. Requests for which
+ * `bypass(c)` is true skip the edge cache but still get ETags.
+ */
+export function apiCache({ maxAge, bypass = () => false }) {
+  return async (c, next) => {
+    const cache = await caches.open(CACHE_NAME)
+    const key = cacheKey(c)
+    const cached = !bypass(c)
+
+    let res = cached ? await cache.match(key) : undefined
+    if (!res) {
+      await next()
+      if (!c.res.ok) return
+
+      const body = await c.res.clone().arrayBuffer()
+      res = new Response(body, c.res)
+      res.headers.set('ETag', `"${(await sha256Hex(body)).slice(0, 32)}"`)
+      res.headers.set('Cache-Control', `max-age=${maxAge}`)
+      if (cached) c.executionCtx.waitUntil(cache.put(key, res.clone()))
+    }
+
+    const etag = res.headers.get('ETag')
+    const headers = new Headers(res.headers)
+    headers.set('Cache-Control', 'private, no-cache')
+    headers.set('Vary', 'Authorization')
+
+    // Assigned rather than returned: after next() a returned response is ignored
+    if (matchesEtag(c.req.header('If-None-Match'), etag)) {
+      headers.delete('Content-Type')
+      headers.delete('Content-Length')
+      c.res = new Response(null, { status: 304, headers })
+    } else {
+      c.res = new Response(res.body, { status: res.status, headers })
+    }
+  }
+}
@@ -0,0 +1,28 @@
+// src/crypto.js ----------------------------------------------------------
+// Small WebCrypto helpers shared by the routes.
+
+export function toHex(bytes) {
+  return [...new Uint8Array(bytes)]
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+/* value is a string (hashed as UTF-8) or bytes */
+export async function sha256Hex(value) {
+  const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value
+  const buf = await crypto.subtle.digest('SHA-256', bytes)
+  return toHex(buf)
+}
+
+/* n random bytes, hex encoded (2n chars) */
+export function randomHex(n) {
+  return toHex(crypto.getRandomValues(new Uint8Array(n)))
+}
+
+/* constant-time hex compare (Workers lacks timingSafeEqual) */
+export function timingSafeEqualHex(a, b) {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  return diff === 0
+}
@@ -0,0 +1,105 @@
+// src/export.js ----------------------------------------------------------
+// Streamed CSV / NDJSON dumps of raw readings or the hourly/daily rollups.
+// Rows are read a page at a time (keyset on timestamp, device_id), so an
+// export of any size never sits in the Worker's memory at once.
+import { errorFields, log } from './log.js'
+import { METRICS, deviceFilter } from './query.js'
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+}
+
+/* resolution → where rows come from; daily buckets are bare dates */
+const SOURCES = {
+  raw: { table: 'sensor_data', time: 'timestamp', bound: iso => iso },
+  hourly: { table: 'sensor_hourly', time: 'bucket', bound: iso => iso },
+  daily: { table: 'sensor_daily', time: 'bucket', bound: iso => iso.slice(0, 10) },
+}
+export const EXPORT_RESOLUTIONS = Object.keys(SOURCES)
+
+/* Each page is one D1 query, and a Worker invocation only gets so many;
+   with raw exports capped at MAX_RAW_SPAN_HOURS this keeps a week of every
+   room to a handful of pages */
+const PAGE_SIZE = 10000
+
+/* ?metrics=pm2_5,temperature → ['pm2_5', 'temperature']; null if any is unknown */
+export function parseMetrics(param) {
+  if (!param) return METRICS
+  const metrics = param.split(',').map(m => m.trim()).filter(Boolean)
+  return metrics.length && metrics.every(m => METRICS.includes(m)) ? metrics : null
+}
+
+/* Output columns, in order; rollups carry four statistics per metric */
+export function exportColumns(resolution, metrics) {
+  if (resolution === 'raw') return ['timestamp', 'device_id', ...metrics, 'sample_count']
+  return [
+    'timestamp',
+    'device_id',
+    'readings',
+    'sample_count',
+    ...metrics.flatMap(m => [`${m}_avg`, `${m}_min`, `${m}_max`, `${m}_p95`]),
+  ]
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * ReadableStream of the export. `from`/`to` are ISO strings; errors after
+ * the first byte can only abort the stream, so they are logged here.
+ */
+export function exportStream(db, { from, to, devices, metrics, resolution, format, requestId }) {
+  const source = SOURCES[resolution]
+  const columns = exportColumns(resolution, metrics)
+  const filter = deviceFilter(devices)
+  const select = columns.map(col => col === 'timestamp' ? `${source.time} AS timestamp` : col).join(', ')
+  const encoder = new TextEncoder()
+
+  let cursor = null
+  let started = false
+
+  const page = () => db.prepare(`
+    SELECT ${select}
+    FROM ${source.table}
+    WHERE ${source.time} >= ? AND ${source.time} <= ?${filter.sql}
+      ${cursor ? `AND (${source.time}, device_id) > (?, ?)` : ''}
+    ORDER BY ${source.time} ASC, device_id ASC
+    LIMIT ${PAGE_SIZE}
+  `).bind(
+    source.bound(from),
+    source.bound(to),
+    ...filter.params,
+    ...(cursor ? [cursor.timestamp, cursor.device_id] : []),
+  ).all()
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        let text = ''
+        if (!started && format === 'csv') text += columns.join(',') + '\n'
+        started = true
+
+        const { results } = await page()
+        for (const row of results) {
+          text += format === 'csv'
+            ? columns.map(col => csvField(row[col])).join(',') + '\n'
+            : JSON.stringify(row) + '\n'
+        }
+        if (text) controller.enqueue(encoder.encode(text))
+
+        if (results.length < PAGE_SIZE) {
+          controller.close()
+        } else {
+          cursor = results[results.length - 1]
+        }
+      } catch (e) {
+        log('error', 'Export failed', { request_id: requestId, ...errorFields(e) })
+        controller.error(e)
+      }
+    },
+  })
+}
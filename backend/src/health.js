@@ -0,0 +1,54 @@
+// src/health.js ----------------------------------------------------------
+// /api/health: D1 reachability, table sizes, the newest reading, schema
+// version and which build is deployed.
+import { checkSchema } from './schema.js'
+
+const COUNTED_TABLES = ['sensor_data', 'sensor_hourly', 'sensor_daily', 'devices', 'rollup_queue']
+
+/* BUILD_VERSION is set at deploy time (see README); the rest comes from
+   the version metadata binding */
+export function buildInfo(env) {
+  return {
+    version: env.BUILD_VERSION ?? null,
+    deployment_id: env.CF_VERSION_METADATA?.id ?? null,
+    deployed_at: env.CF_VERSION_METADATA?.timestamp ?? null,
+  }
+}
+
+/**
+ * `status` is 'ok', 'degraded' (schema version mismatch) or 'error' (D1
+ * unreachable); anything but 'ok' should be served as 503.
+ */
+export async function checkHealth(env) {
+  const started = Date.now()
+  const db = env.DB
+
+  try {
+    const [results, schema] = await Promise.all([
+      db.batch([
+        ...COUNTED_TABLES.map(table => db.prepare(`SELECT COUNT(*) AS count FROM ${table}`)),
+        db.prepare('SELECT MAX(timestamp) AS latest FROM sensor_data'),
+      ]),
+      checkSchema(db),
+    ])
+
+    const tables = Object.fromEntries(COUNTED_TABLES.map((table, i) => [table, results[i].results[0].count]))
+    return {
+      status: schema.status === 'ok' ? 'ok' : 'degraded',
+      build: buildInfo(env),
+      database: {
+        ok: true,
+        latency_ms: Date.now() - started,
+        schema,
+        tables,
+        latest_reading_at: results[COUNTED_TABLES.length].results[0].latest,
+      },
+    }
+  } catch (e) {
+    return {
+      status: 'error',
+      build: buildInfo(env),
+      database: { ok: false, latency_ms: Date.now() - started, error: e.message },
+    }
+  }
+}
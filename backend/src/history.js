@@ -0,0 +1,192 @@
+// src/history.js ---------------------------------------------------------
+// Readings over a time window, either raw or averaged into fixed buckets.
+import { METRICS, deviceFilter } from './query.js'
+
+export const RESOLUTIONS = {
+  '1m': 60,
+  '5m': 5 * 60,
+  '15m': 15 * 60,
+  '1h': 60 * 60,
+  '6h': 6 * 60 * 60,
+  '1d': 24 * 60 * 60,
+}
+
+/* Buckets of at least an hour are built from the sensor_hourly rollup,
+   which outlives raw retention. Hours the cron has not summarised yet
+   (still in rollup_queue, or missing from sensor_hourly: the current hour,
+   late uploads, imports, the backfill queued by migration 0006) are read
+   from raw rows instead. */
+const ROLLUP_MIN_SECONDS = 60 * 60
+const HOUR_MS = 60 * 60 * 1000
+
+/* Unbucketed reads beyond this would ship tens of thousands of rows */
+export const MAX_RAW_SPAN_HOURS = 7 * 24
+
+/* `auto` picks the finest bucket that keeps each device under this many points */
+const AUTO_MAX_POINTS = 800
+
+/* 'raw', a RESOLUTIONS key, or 'auto' → 'raw' | key; null if unrecognised */
+export function resolveResolution(param, spanSeconds) {
+  if (!param || param === 'raw') return 'raw'
+  if (param in RESOLUTIONS) return param
+  if (param !== 'auto') return null
+
+  const fit = Object.keys(RESOLUTIONS).find(k => spanSeconds / RESOLUTIONS[k] <= AUTO_MAX_POINTS)
+  return fit ?? '1d'
+}
+
+/**
+ * What changed in [from, to] since `since`, the cursor handed out with an
+ * earlier response (the highest sensor_data id it had seen). Cursors
+ * follow insert order rather than timestamps, so late uploads and imports
+ * are picked up too. Returns `{ cursor, changedFrom }`: the cursor for the
+ * next call, and the start of the first bucket that needs re-reading (null
+ * when nothing changed). Without `since` it only reads the cursor.
+ */
+export async function changedSince(db, { since, from, to, devices, resolution }) {
+  const filter = deviceFilter(devices)
+
+  const { cursor } = await db.prepare(
+    'SELECT COALESCE(MAX(id), 0) AS cursor FROM sensor_data'
+  ).first()
+  if (since === undefined) return { cursor, changedFrom: null }
+
+  const { earliest } = await db.prepare(
+    `SELECT MIN(timestamp) AS earliest FROM sensor_data
+     WHERE id > ? AND id <= ? AND timestamp >= ? AND timestamp <= ?${filter.sql}`
+  ).bind(since, cursor, from, to, ...filter.params).first()
+  if (!earliest) return { cursor, changedFrom: null }
+
+  // A new reading changes its whole bucket
+  const seconds = RESOLUTIONS[resolution]
+  const start = seconds
+    ? new Date(Math.floor(Date.parse(earliest) / 1000 / seconds) * seconds * 1000).toISOString()
+    : earliest
+  return { cursor, changedFrom: start > from ? start : from }
+}
+
+/**
+ * Rows for [from, to] (ISO strings), oldest first. Raw rows are returned
+ * as stored; bucketed rows carry the bucket start as `timestamp`, the mean
+ * of each metric under its own name plus `<metric>_min` / `<metric>_max`,
+ * the number of stored rows (`readings`) and the summed `sample_count`.
+ */
+export async function queryHistory(db, { from, to, devices, resolution }) {
+  const filter = deviceFilter(devices)
+
+  if (resolution === 'raw') {
+    const { results } = await db.prepare(
+      `SELECT * FROM sensor_data
+       WHERE timestamp >= ? AND timestamp <= ?${filter.sql}
+       ORDER BY timestamp ASC`
+    ).bind(from, to, ...filter.params).all()
+    return results
+  }
+
+  const seconds = RESOLUTIONS[resolution]
+  if (seconds >= ROLLUP_MIN_SECONDS) {
+    return queryRollups(db, { from, to, filter, seconds })
+  }
+
+  const aggregates = METRICS
+    .map(m => `AVG(${m}) AS ${m}, MIN(${m}) AS ${m}_min, MAX(${m}) AS ${m}_max`)
+    .join(',\n           ')
+
+  const { results } = await db.prepare(`
+    SELECT device_id,
+           (CAST(strftime('%s', timestamp) AS INTEGER) / ${seconds}) * ${seconds} AS bucket,
+           COUNT(*) AS readings,
+           SUM(sample_count) AS sample_count,
+           ${aggregates}
+    FROM sensor_data
+    WHERE timestamp >= ? AND timestamp <= ?${filter.sql}
+    GROUP BY device_id, bucket
+    ORDER BY bucket ASC, device_id ASC
+  `).bind(from, to, ...filter.params).all()
+
+  return results.map(({ bucket, ...row }) => ({
+    ...row,
+    timestamp: new Date(bucket * 1000).toISOString(),
+  }))
+}
+
+/* Merge hour-level summaries (<metric>_avg/_min/_max + readings) into
+   buckets of `seconds`, weighting each hour's mean by its reading count */
+function mergeHours(hours, seconds) {
+  const buckets = new Map()
+
+  for (const hour of hours) {
+    const start = Math.floor(Date.parse(hour.bucket) / 1000 / seconds) * seconds
+    const key = `${hour.device_id}|${start}`
+    if (!buckets.has(key)) {
+      buckets.set(key, { device_id: hour.device_id, start, readings: 0, sample_count: 0, metrics: {} })
+    }
+    const bucket = buckets.get(key)
+    bucket.readings += hour.readings
+    bucket.sample_count += hour.sample_count ?? 0
+
+    for (const m of METRICS) {
+      if (hour[`${m}_avg`] === null) continue
+      const acc = bucket.metrics[m] ?? { sum: 0, n: 0, min: Infinity, max: -Infinity }
+      acc.sum += hour[`${m}_avg`] * hour.readings
+      acc.n += hour.readings
+      acc.min = Math.min(acc.min, hour[`${m}_min`])
+      acc.max = Math.max(acc.max, hour[`${m}_max`])
+      bucket.metrics[m] = acc
+    }
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => a.start - b.start || a.device_id.localeCompare(b.device_id))
+    .map(({ device_id, start, readings, sample_count, metrics }) => {
+      const row = { device_id, timestamp: new Date(start * 1000).toISOString(), readings, sample_count }
+      for (const m of METRICS) {
+        const acc = metrics[m]
+        row[m] = acc ? acc.sum / acc.n : null
+        row[`${m}_min`] = acc ? acc.min : null
+        row[`${m}_max`] = acc ? acc.max : null
+      }
+      return row
+    })
+}
+
+async function queryRollups(db, { from, to, filter, seconds }) {
+  const fromHour = new Date(Math.floor(Date.parse(from) / HOUR_MS) * HOUR_MS).toISOString()
+
+  const rawAggregates = METRICS
+    .map(m => `AVG(${m}) AS ${m}_avg, MIN(${m}) AS ${m}_min, MAX(${m}) AS ${m}_max`)
+    .join(',\n             ')
+
+  const [rolled, pending] = await db.batch([
+    db.prepare(`
+      SELECT device_id, bucket, readings, sample_count,
+             ${METRICS.map(m => `${m}_avg, ${m}_min, ${m}_max`).join(',\n             ')}
+      FROM sensor_hourly
+      WHERE bucket >= ? AND bucket <= ?${filter.sql}
+    `).bind(fromHour, to, ...filter.params),
+    db.prepare(`
+      SELECT device_id, bucket,
+             COUNT(*) AS readings,
+             SUM(sample_count) AS sample_count,
+             ${rawAggregates}
+      FROM (
+        SELECT *, strftime('%Y-%m-%dT%H:00:00.000Z', timestamp) AS bucket
+        FROM sensor_data
+        WHERE timestamp >= ? AND timestamp <= ?${filter.sql}
+      ) s
+      WHERE NOT EXISTS (SELECT 1 FROM sensor_hourly h WHERE h.device_id = s.device_id AND h.bucket = s.bucket)
+         OR EXISTS (SELECT 1 FROM rollup_queue q WHERE q.device_id = s.device_id AND q.hour = s.bucket)
+      GROUP BY device_id, bucket
+    `).bind(from, to, ...filter.params),
+  ])
+
+  // A pending hour's raw rows replace its stale summary, unless retention
+  // has already pruned some of them and the summary still covers more
+  const hours = new Map(rolled.results.map(hour => [`${hour.device_id}|${hour.bucket}`, hour]))
+  for (const hour of pending.results) {
+    const key = `${hour.device_id}|${hour.bucket}`
+    if (!hours.has(key) || hour.readings >= hours.get(key).readings) hours.set(key, hour)
+  }
+
+  return mergeHours([...hours.values()], seconds)
+}
@@ -1,143 +1,395 @@
 // src/index.js -----------------------------------------------------------
 import { Hono } from 'hono'
-import { cache } from 'hono/cache'
 import { cors } from 'hono/cors'
-import { jwt, sign } from 'hono/jwt'
+import { HTTPException } from 'hono/http-exception'
+import { jwt } from 'hono/jwt'
+import { queryAqi } from './aqi.js'
+import { loadUser, requireRole } from './auth.js'
+import { queryAverages, PERIODS } from './averages.js'
+import { apiCache } from './cache.js'
+import { sha256Hex, timingSafeEqualHex } from './crypto.js'
+import { EXPORT_FORMATS, EXPORT_RESOLUTIONS, exportStream, parseMetrics } from './export.js'
+import { checkHealth } from './health.js'
+import { MAX_RAW_SPAN_HOURS, changedSince, queryHistory, resolveResolution } from './history.js'
+import { LIVE_CHANNEL } from './live.js'
+import { errorFields, log, requestLog } from './log.js'
+import { OPENMETRICS_CONTENT_TYPE, PROMETHEUS_CONTENT_TYPE, queryLatestPerDevice, renderMetrics } from './metrics.js'
+import { MAX_SPAN_DAYS, deviceFilter, parseDevices, parseRange, parseTimeZone } from './query.js'
+import { queryStats } from './stats.js'
+import { startOfLocalDay } from './zone.js'
+import { checkSchema, checkSchemaOnce } from './schema.js'
+import { queryStatus } from './status.js'
+import alerts from './routes/alerts.js'
+import deviceKeys from './routes/device-keys.js'
+import devices from './routes/devices.js'
+import importer from './routes/import.js'
+import quarantine from './routes/quarantine.js'
+import retention from './routes/retention.js'
+import session from './routes/session.js'
+import settings from './routes/settings.js'
+import share from './routes/share.js'
+import shareLinks from './routes/share-links.js'
+import users from './routes/users.js'
 
-
-let ADMIN_PASSWORD_HASH = ''                             // 64-char hex
-
-async function initAdminHash(raw) {
-  const bytes = new TextEncoder().encode(raw.trim())     // trim stray \n/space
-  const buf = await crypto.subtle.digest('SHA-256', bytes)
-  ADMIN_PASSWORD_HASH = [...new Uint8Array(buf)]
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('')
-}
-
-/* constant-time hex compare (Workers lacks timingSafeEqual) */
-function timingSafeEqualHex(a, b) {
-  if (a.length !== b.length) return false
-  let diff = 0
-  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
-  return diff === 0
-}
+/* Reachable without a token; share links carry their own */
+const PUBLIC_PATHS = ['/api/health', '/api/login', '/api/refresh', '/api/logout', '/api/invite/accept']
+const isPublic = (path) => PUBLIC_PATHS.includes(path) || path.startsWith('/api/share/')
 
 /* ------------------------------------------------------------------ */
 /*  App + shared middleware                                           */
 /* ------------------------------------------------------------------ */
 const app = new Hono()
 
-app.onError((err, c) =>
-  c.json({ error: 'Internal Server Error' }, 500)
-)
+app.onError((err, c) => {
+  // Keep the JWT guard's 401s: the dashboard refreshes its token on them
+  if (err instanceof HTTPException) return err.getResponse()
+
+  const requestId = c.get('requestId')
+  log('error', 'Unhandled error', { request_id: requestId, method: c.req.method, path: c.req.path, ...errorFields(err) })
+  return c.json({ error: 'Internal Server Error', request_id: requestId }, 500)
+})
+
+app.use('*', requestLog)
 
 app.use(
   '*',
   cors({
     origin: '*',
-    allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowHeaders: ['Content-Type', 'Authorization'],
+    allowMethods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
+    exposeHeaders: ['ETag', 'X-Cursor', 'X-Changed-From', 'X-Resolution', 'X-Request-ID'],
     credentials: true,
   }),
 )
 
-/* ------------------------------------------------------------------ */
-/*  Initialisers                                                      */
-/* ------------------------------------------------------------------ */
-app.use('*', async (c, next) => {
-  if (!ADMIN_PASSWORD_HASH) {
-    await initAdminHash(c.env.ADMIN_PASSWORD)
-  }
-  await next()
+/* First request of each isolate logs a schema version mismatch */
+app.use('*', (c, next) => {
+  checkSchemaOnce(c)
+  return next()
 })
 
 /* ------------------------------------------------------------------ */
-/*  JWT guard (skip /api/login)                                       */
+/*  JWT guard (skip public paths), then the token's user must still   */
+/*  exist and be enabled; /api/admin/* is for admins only             */
 /* ------------------------------------------------------------------ */
 app.use('/api/*', (c, next) =>
-  c.req.path === '/api/login'
+  isPublic(c.req.path)
     ? next()
     : jwt({ secret: c.env.JWT_SECRET })(c, next),
 )
+app.use('/api/*', (c, next) =>
+  isPublic(c.req.path) ? next() : loadUser(c, next),
+)
+app.use('/api/admin/*', requireRole('admin'))
+
+/* ------------------------------------------------------------------ */
+/*  /api/health – D1, row counts, schema version, build (no token)    */
+/* ------------------------------------------------------------------ */
+app.get('/api/health', async (c) => {
+  const health = await checkHealth(c.env)
+  c.header('Cache-Control', 'no-store')
+  return c.json(
+    { ...health, checked_at: new Date().toISOString(), request_id: c.get('requestId') },
+    health.status === 'ok' ? 200 : 503,
+  )
+})
+
+/* ------------------------------------------------------------------ */
+/*  /api/devices                                                      */
+/* ------------------------------------------------------------------ */
+app.get('/api/devices', async (c) => {
+  const { results } = await c.env.DB.prepare(
+    'SELECT id, label, created_at, last_seen_at FROM devices ORDER BY label ASC'
+  ).all()
+  return c.json(results)
+})
+
+/* ------------------------------------------------------------------ */
+/*  /api/status?device= – online / stale / offline per device          */
+/* ------------------------------------------------------------------ */
+app.get('/api/status', async (c) => {
+  const filter = deviceFilter(parseDevices(c), 'd.id')
+  return c.json({
+    checked_at: new Date().toISOString(),
+    devices: await queryStatus(c.env.DB, filter),
+  })
+})
 
 /* ------------------------------------------------------------------ */
-/*  /api/data                                      */
+/*  /api/latest – newest raw row per device                           */
+/* ------------------------------------------------------------------ */
+app.get(
+  '/api/latest',
+  apiCache({ maxAge: 60 }),
+  async (c) => {
+    const devices = deviceFilter(parseDevices(c))
+
+    const { results } = await c.env.DB.prepare(`
+      SELECT s.*
+      FROM sensor_data s
+      JOIN (
+        SELECT device_id, MAX(timestamp) AS timestamp
+        FROM sensor_data
+        WHERE 1 = 1${devices.sql}
+        GROUP BY device_id
+      ) latest ON s.device_id = latest.device_id AND s.timestamp = latest.timestamp
+      ORDER BY s.device_id ASC
+    `).bind(...devices.params).all()
+    return c.json(results)
+  },
+)
+
+/* ------------------------------------------------------------------ */
+/*  /api/aqi?device= – EPA AQI (NowCast and 24-hour) per device       */
+/* ------------------------------------------------------------------ */
+app.get(
+  '/api/aqi',
+  apiCache({ maxAge: 60 }),
+  async (c) => {
+    return c.json(await queryAqi(c.env.DB, parseDevices(c)))
+  },
+)
+
+/* ------------------------------------------------------------------ */
+/*  /api/stream?device= – new readings as Server-Sent Events          */
+/* ------------------------------------------------------------------ */
+app.get('/api/stream', async (c) => {
+  if (!c.env.LIVE) return c.json({ error: 'Live updates are not configured' }, 404)
+
+  const url = new URL('https://live/subscribe')
+  const devices = parseDevices(c)
+  if (devices.length) url.searchParams.set('device', devices.join(','))
+
+  const stub = c.env.LIVE.get(c.env.LIVE.idFromName(LIVE_CHANNEL))
+  const res = await stub.fetch(url, {
+    headers: { 'X-Expires-At': String(c.get('jwtPayload').exp * 1000) },
+  })
+  // Re-wrap so the CORS middleware can still set headers
+  return new Response(res.body, res)
+})
+
+/* ------------------------------------------------------------------ */
+/*  /api/data?hours=|from=&to=&device=&resolution=&since=             */
+/*    resolution: raw (default) | auto | 1m | 5m | 15m | 1h | 6h | 1d */
+/*    since: X-Cursor of an earlier response; only changed rows,      */
+/*    which replace everything from X-Changed-From onwards            */
 /* ------------------------------------------------------------------ */
 app.get(
   '/api/data',
-  cache({
-    cacheName: 'api-cache',
-    cacheControl: 'max-age=300', // 5 minutes
+  apiCache({
+    maxAge: 300, // 5 minutes
+    // A repeated cursor must still see readings that arrived since
+    bypass: (c) => c.req.query('since') !== undefined,
   }),
   async (c) => {
-    const hours = parseInt(c.req.query('hours') || '24')
-    const startTime = new Date()
-    startTime.setHours(startTime.getHours() - hours)
-
-    const stmt = c.env.DB.prepare(
-      'SELECT * FROM sensor_data WHERE timestamp >= ? ORDER BY timestamp ASC'
-    )
-    const { results } = await stmt.bind(startTime.toISOString()).all()
-    return c.json(results)
+    const range = parseRange(c)
+    if (range.error) return c.json({ error: range.error }, 400)
+
+    const spanSeconds = (Date.parse(range.to) - Date.parse(range.from)) / 1000
+    const resolution = resolveResolution(c.req.query('resolution'), spanSeconds)
+    if (!resolution) {
+      return c.json({ error: 'resolution must be raw, auto, 1m, 5m, 15m, 1h, 6h or 1d' }, 400)
+    }
+    if (resolution === 'raw' && spanSeconds > MAX_RAW_SPAN_HOURS * 60 * 60) {
+      return c.json({ error: `Raw data is limited to ${MAX_RAW_SPAN_HOURS} hours; pick a resolution` }, 400)
+    }
+
+    const sinceParam = c.req.query('since')
+    const since = sinceParam === undefined ? undefined : Number(sinceParam)
+    if (since !== undefined && !(Number.isSafeInteger(since) && since >= 0)) {
+      return c.json({ error: 'since must be a cursor from X-Cursor' }, 400)
+    }
+
+    const devices = parseDevices(c)
+    const { cursor, changedFrom } = await changedSince(c.env.DB, { ...range, devices, resolution, since })
+    c.header('X-Resolution', resolution)
+    c.header('X-Cursor', String(cursor))
+    if (since === undefined) {
+      return c.json(await queryHistory(c.env.DB, { ...range, devices, resolution }))
+    }
+
+    if (!changedFrom) return c.json([])
+    c.header('X-Changed-From', changedFrom)
+    return c.json(await queryHistory(c.env.DB, { from: changedFrom, to: range.to, devices, resolution }))
+  },
+)
+
+/* ------------------------------------------------------------------ */
+/*  /api/stats?hours=|from=&to=&device=&metrics=&tz=                  */
+/*    distribution per metric, weekday × hour means in tz (7 days)    */
+/* ------------------------------------------------------------------ */
+app.get(
+  '/api/stats',
+  apiCache({ maxAge: 300 }), // 5 minutes
+  async (c) => {
+    const range = parseRange(c, { defaultHours: 7 * 24 })
+    if (range.error) return c.json({ error: range.error }, 400)
+    const metrics = parseMetrics(c.req.query('metrics'))
+    if (!metrics) return c.json({ error: 'metrics must be a comma-separated list of sensor_data columns' }, 400)
+    const tz = parseTimeZone(c)
+    if (tz.error) return c.json({ error: tz.error }, 400)
+
+    const devices = await queryStats(c.env.DB, { ...range, devices: parseDevices(c), metrics, timeZone: tz.timeZone })
+    return c.json({ ...range, tz: tz.timeZone, devices })
   },
 )
 
 /* ------------------------------------------------------------------ */
-/*  /api/daily-averages                               */
+/*  /api/export?hours=|from=&to=&device=&metrics=&format=&resolution= */
+/*    format: csv (default) | ndjson; resolution: raw | hourly | daily */
+/* ------------------------------------------------------------------ */
+app.get('/api/export', async (c) => {
+  const range = parseRange(c)
+  if (range.error) return c.json({ error: range.error }, 400)
+
+  const format = c.req.query('format') || 'csv'
+  if (!EXPORT_FORMATS[format]) {
+    return c.json({ error: `format must be ${Object.keys(EXPORT_FORMATS).join(' or ')}` }, 400)
+  }
+  const resolution = c.req.query('resolution') || 'raw'
+  if (!EXPORT_RESOLUTIONS.includes(resolution)) {
+    return c.json({ error: `resolution must be ${EXPORT_RESOLUTIONS.join(', ')}` }, 400)
+  }
+  if (resolution === 'raw' && Date.parse(range.to) - Date.parse(range.from) > MAX_RAW_SPAN_HOURS * 60 * 60 * 1000) {
+    return c.json({ error: `Raw exports are limited to ${MAX_RAW_SPAN_HOURS} hours; use resolution=hourly or daily` }, 400)
+  }
+  const metrics = parseMetrics(c.req.query('metrics'))
+  if (!metrics) return c.json({ error: 'metrics must be a comma-separated list of sensor_data columns' }, 400)
+
+  const { contentType, extension } = EXPORT_FORMATS[format]
+  const filename = `air-quality-${resolution}-${range.from.slice(0, 10)}-to-${range.to.slice(0, 10)}.${extension}`
+
+  return c.body(exportStream(c.env.DB, { ...range, devices: parseDevices(c), metrics, resolution, format, requestId: c.get('requestId') }), 200, {
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store',
+  })
+})
+
+/* ------------------------------------------------------------------ */
+/*  /api/daily-averages?days=|from=&to=&device=&tz=&period=           */
+/*    period: day (default) | week | month, from local midnight in tz */
 /* ------------------------------------------------------------------ */
 app.get(
   '/api/daily-averages',
-  cache({
-    cacheName: 'api-cache',
-    cacheControl: 'max-age=3600', // 1 hour
-  }),
+  apiCache({ maxAge: 3600 }), // 1 hour
   async (c) => {
-    const toDate = new Date()
-    const fromDate = new Date()
-    fromDate.setDate(fromDate.getDate() - 14)
-
-    const stmt = c.env.DB.prepare(`
-      SELECT SUBSTR(timestamp, 1, 10) AS date,
-             AVG(temperature) AS avg_temperature,
-             AVG(humidity)    AS avg_humidity,
-             AVG(voc_index)   AS avg_voc_index,
-             AVG(pm1_0)       AS avg_pm1_0,
-             AVG(pm2_5)       AS avg_pm2_5,
-             AVG(pm10_0)      AS avg_pm10
-      FROM sensor_data
-      WHERE timestamp >= ?1 AND timestamp <= ?2
-      GROUP BY date
-      ORDER BY date ASC
-    `)
-    const { results } = await stmt.bind(fromDate.toISOString(), toDate.toISOString()).all()
-    return c.json(results)
+    const tz = parseTimeZone(c)
+    if (tz.error) return c.json({ error: tz.error }, 400)
+    const period = c.req.query('period') || 'day'
+    if (!PERIODS.includes(period)) {
+      return c.json({ error: `period must be ${PERIODS.join(', ')}` }, 400)
+    }
+
+    // `days` counts whole local days back, today included
+    let range
+    if (c.req.query('from') || c.req.query('to')) {
+      range = parseRange(c, { defaultHours: 14 * 24 })
+      if (range.error) return c.json({ error: range.error }, 400)
+    } else {
+      const days = Number(c.req.query('days') || 14)
+      if (!Number.isInteger(days) || days < 1 || days > MAX_SPAN_DAYS) {
+        return c.json({ error: `days must be a whole number between 1 and ${MAX_SPAN_DAYS}` }, 400)
+      }
+      const now = Date.now()
+      range = {
+        from: new Date(startOfLocalDay(now, tz.timeZone, days - 1)).toISOString(),
+        to: new Date(now).toISOString(),
+      }
+    }
+
+    return c.json(await queryAverages(c.env.DB, {
+      ...range,
+      devices: parseDevices(c),
+      timeZone: tz.timeZone,
+      period,
+    }))
   },
 )
 
 /* ------------------------------------------------------------------ */
-/*  /api/login – hash-once compare                                    */
+/*  /api/alerts?device=&limit= – firing/resolved history, newest first */
+/* ------------------------------------------------------------------ */
+app.get('/api/alerts', async (c) => {
+  const devices = deviceFilter(parseDevices(c), 'e.device_id')
+  const limit = Math.min(Math.max(parseInt(c.req.query('limit') || '50') || 50, 1), 500)
+
+  const { results } = await c.env.DB.prepare(`
+    SELECT e.id, e.rule_id, r.name AS rule_name, r.metric, r.comparison, r.threshold,
+           r.unit AS threshold_unit, e.device_id, e.event, e.at, e.value, e.unit, e.message
+    FROM alert_events e
+    LEFT JOIN alert_rules r ON r.id = e.rule_id
+    WHERE 1 = 1${devices.sql}
+    ORDER BY e.at DESC, e.id DESC
+    LIMIT ${limit}
+  `).bind(...devices.params).all()
+  return c.json(results)
+})
+
+/* ------------------------------------------------------------------ */
+/*  /api/admin/schema – expected vs applied migration                 */
 /* ------------------------------------------------------------------ */
-app.post('/api/login', async (c) => {
-  const { password: clientHash = '' } = await c.req.json()
+app.get('/api/admin/schema', async (c) => {
+  const schema = await checkSchema(c.env.DB)
+  return c.json(schema, schema.status === 'ok' ? 200 : 503)
+})
 
-  const ok =
-    clientHash.length === 64 &&
-    timingSafeEqualHex(clientHash.toLowerCase(), ADMIN_PASSWORD_HASH)
+/* ------------------------------------------------------------------ */
+/*  /api/admin/... – users, share links, devices, ingress keys,       */
+/*  quarantine, retention, alerts, bulk import                        */
+/* ------------------------------------------------------------------ */
+app.route('/api/admin', users)
+app.route('/api/admin', shareLinks)
+app.route('/api/admin', alerts)
+app.route('/api/admin', deviceKeys)
+app.route('/api/admin', devices)
+app.route('/api/admin', importer)
+app.route('/api/admin', quarantine)
+app.route('/api/admin', retention)
 
-  if (!ok) return c.json({ error: 'Invalid password' }, 401)
+/* ------------------------------------------------------------------ */
+/*  /api/login, /refresh, /logout, /invite/accept, /me, /sessions     */
+/* ------------------------------------------------------------------ */
+app.route('/api', session)
 
-  const payload = {
-    iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60,
+/* ------------------------------------------------------------------ */
+/*  /api/settings – the signed-in user's units and thresholds         */
+/* ------------------------------------------------------------------ */
+app.route('/api', settings)
+
+/* ------------------------------------------------------------------ */
+/*  /api/share/:token/... – public read-only views                    */
+/* ------------------------------------------------------------------ */
+app.route('/api/share', share)
+
+/* ------------------------------------------------------------------ */
+/*  /metrics – Prometheus scrape, Bearer METRICS_TOKEN (not the JWT)  */
+/* ------------------------------------------------------------------ */
+app.get('/metrics', async (c) => {
+  if (!c.env.METRICS_TOKEN) return c.text('Metrics are disabled; set METRICS_TOKEN', 404)
+
+  const presented = (c.req.header('Authorization') || '').replace(/^Bearer\s+/i, '')
+  const [expected, actual] = await Promise.all([sha256Hex(c.env.METRICS_TOKEN), sha256Hex(presented)])
+  if (!presented || !timingSafeEqualHex(actual, expected)) {
+    return c.text('Unauthorized', 401, { 'WWW-Authenticate': 'Bearer' })
   }
-  const token = await sign(payload, c.env.JWT_SECRET)
-  return c.json({ token, expires_in: payload.exp - payload.iat })
+
+  const openMetrics = (c.req.header('Accept') || '').includes('application/openmetrics-text')
+  const body = renderMetrics(await queryLatestPerDevice(c.env.DB), { openMetrics })
+  return c.body(body, 200, {
+    'Content-Type': openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE,
+    'Cache-Control': 'no-store',
+  })
 })
 
 /* ------------------------------------------------------------------ */
-/*  Static assets                                                     */
+/*  Static assets – /share and /invite load index.html from here      */
 /* ------------------------------------------------------------------ */
-app.get('*', (c) => c.env.ASSETS.fetch(c.req.raw))
+app.get('*', async (c) => {
+  // ASSETS responses have immutable headers, and the middleware adds some
+  const res = await c.env.ASSETS.fetch(c.req.raw)
+  return new Response(res.body, res)
+})
 
 export default app
+export { LiveReadings } from './live.js'
@@ -0,0 +1,85 @@
+// src/live.js ------------------------------------------------------------
+// LiveReadings Durable Object: fans freshly stored readings out to every
+// connected dashboard as Server-Sent Events. The ingress worker POSTs each
+// insert to /publish; /api/stream subscribes through /subscribe. A single
+// instance (LIVE_CHANNEL) carries every device and filters per subscriber.
+
+/* Also named in esp_ingress/src/live.js */
+export const LIVE_CHANNEL = 'readings'
+
+/* SSE comments keep idle connections from being closed by proxies */
+const HEARTBEAT_MS = 25 * 1000
+
+/* Client reconnect delay sent in the stream's `retry:` field */
+const RETRY_MS = 5 * 1000
+
+const encoder = new TextEncoder()
+
+export class LiveReadings {
+  constructor(state, env) {
+    this.subscribers = new Set()
+    this.heartbeat = null
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url)
+    if (url.pathname === '/publish' && request.method === 'POST') {
+      this.publish(await request.json())
+      return new Response(null, { status: 204 })
+    }
+    if (url.pathname === '/subscribe') return this.subscribe(url, request)
+    return new Response('Not found', { status: 404 })
+  }
+
+  /* ?device=den,bedroom limits the stream; X-Expires-At (epoch ms) closes it
+     when the subscriber's access token runs out, so it must reconnect */
+  subscribe(url, request) {
+    const { readable, writable } = new TransformStream()
+    const subscriber = {
+      writer: writable.getWriter(),
+      devices: (url.searchParams.get('device') || '').split(',').filter(Boolean),
+      timer: null,
+    }
+    this.subscribers.add(subscriber)
+
+    const expiresAt = Number(request.headers.get('X-Expires-At'))
+    if (expiresAt) {
+      subscriber.timer = setTimeout(() => this.drop(subscriber), Math.max(0, expiresAt - Date.now()))
+    }
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        for (const s of this.subscribers) this.send(s, ': heartbeat\n\n')
+      }, HEARTBEAT_MS)
+    }
+
+    this.send(subscriber, `retry: ${RETRY_MS}\nevent: ready\ndata: {}\n\n`)
+    return new Response(readable, {
+      headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' },
+    })
+  }
+
+  /* rows: sensor_data rows as just inserted */
+  publish(rows) {
+    for (const subscriber of this.subscribers) {
+      const matching = subscriber.devices.length
+        ? rows.filter(row => subscriber.devices.includes(row.device_id))
+        : rows
+      if (matching.length) this.send(subscriber, `event: readings\ndata: ${JSON.stringify(matching)}\n\n`)
+    }
+  }
+
+  /* A failed write means the dashboard went away */
+  send(subscriber, text) {
+    subscriber.writer.write(encoder.encode(text)).catch(() => this.drop(subscriber))
+  }
+
+  drop(subscriber) {
+    if (!this.subscribers.delete(subscriber)) return
+    clearTimeout(subscriber.timer)
+    subscriber.writer.close().catch(() => {})
+    if (this.subscribers.size === 0) {
+      clearInterval(this.heartbeat)
+      this.heartbeat = null
+    }
+  }
+}
@@ -0,0 +1,38 @@
+// src/log.js -------------------------------------------------------------
+// Structured logging: one JSON object per line, so `wrangler tail` and
+// Workers Logs can filter on any field. Lines written while handling a
+// request carry its request_id, which is also sent back in X-Request-ID.
+
+/* Accepted from callers that want to correlate their own logs */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/
+
+export function log(level, message, fields = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, message, ...fields })
+  if (level === 'error') console.error(line)
+  else if (level === 'warn') console.warn(line)
+  else console.log(line)
+}
+
+export function errorFields(e) {
+  return { error: e?.message ?? String(e), stack: e?.stack }
+}
+
+/* Middleware: assign the request ID and log one line per request */
+export async function requestLog(c, next) {
+  const incoming = c.req.header('X-Request-ID')
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+  c.set('requestId', requestId)
+  const started = Date.now()
+
+  await next()
+
+  c.header('X-Request-ID', requestId)
+  log(c.res.status >= 500 ? 'error' : 'info', 'request', {
+    request_id: requestId,
+    method: c.req.method,
+    path: c.req.path,
+    status: c.res.status,
+    duration_ms: Date.now() - started,
+    user: c.get('user')?.username,
+  })
+}
@@ -0,0 +1,57 @@
+// src/metrics.js ---------------------------------------------------------
+// Latest reading per device as Prometheus gauges, in the classic text
+// format or OpenMetrics when the scraper asks for it.
+
+/* [name, sensor_data column, help] */
+const GAUGES = [
+  ['airquality_temperature_fahrenheit', 'temperature', 'Temperature of the latest reading (°F).'],
+  ['airquality_humidity_percent', 'humidity', 'Relative humidity of the latest reading (%).'],
+  ['airquality_voc_index', 'voc_index', 'SGP40 VOC index of the latest reading (0-500).'],
+  ['airquality_raw_voc', 'raw_voc', 'SGP40 raw VOC ticks of the latest reading.'],
+  ['airquality_pm1_0_ugm3', 'pm1_0', 'PM1.0 of the latest reading (µg/m³).'],
+  ['airquality_pm2_5_ugm3', 'pm2_5', 'PM2.5 of the latest reading (µg/m³).'],
+  ['airquality_pm10_ugm3', 'pm10_0', 'PM10 of the latest reading (µg/m³).'],
+  ['airquality_sample_count', 'sample_count', 'Sensor samples averaged into the latest reading.'],
+]
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+
+/* Every device with its newest reading (null columns if it has none) */
+export async function queryLatestPerDevice(db) {
+  const { results } = await db.prepare(`
+    SELECT d.id AS device_id, d.label, s.*
+    FROM devices d
+    LEFT JOIN (
+      SELECT device_id, MAX(timestamp) AS timestamp FROM sensor_data GROUP BY device_id
+    ) latest ON latest.device_id = d.id
+    LEFT JOIN sensor_data s ON s.device_id = latest.device_id AND s.timestamp = latest.timestamp
+    ORDER BY d.id ASC
+  `).all()
+  return results
+}
+
+/* Exposition text for `rows` from queryLatestPerDevice */
+export function renderMetrics(rows, { now = Date.now(), openMetrics = false } = {}) {
+  const lines = []
+  const gauge = (name, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`)
+    for (const [row, value] of samples) {
+      lines.push(`${name}{device="${escapeLabel(row.device_id)}",label="${escapeLabel(row.label)}"} ${value}`)
+    }
+  }
+
+  for (const [name, column, help] of GAUGES) {
+    gauge(name, help, rows.filter(r => r[column] !== null && r[column] !== undefined).map(r => [r, r[column]]))
+  }
+  gauge(
+    'airquality_seconds_since_last_reading',
+    'Seconds between the latest reading and this scrape.',
+    rows.filter(r => r.timestamp).map(r => [r, ((now - Date.parse(r.timestamp)) / 1000).toFixed(3)]),
+  )
+
+  if (openMetrics) lines.push('# EOF')
+  return lines.join('\n') + '\n'
+}
@@ -0,0 +1,81 @@
+// src/query.js -----------------------------------------------------------
+// Query-string parsing and SQL fragments shared by the read routes.
+
+/* Numeric sensor_data columns (pm10_0 is the column; ingress payloads say pm10) */
+export const METRICS = [
+  'temperature',
+  'humidity',
+  'voc_index',
+  'raw_voc',
+  'pm1_0',
+  'pm2_5',
+  'pm10_0',
+]
+
+/* Lowercase slug, as registered by the ingress worker */
+export const DEVICE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/
+
+/* ?device=den,bedroom → ['den', 'bedroom']; absent → every device */
+export function parseDevices(c) {
+  return (c.req.query('device') || '')
+    .split(',')
+    .map(d => d.trim())
+    .filter(Boolean)
+}
+
+export function deviceFilter(devices, column = 'device_id') {
+  if (!devices.length) return { sql: '', params: [] }
+  return {
+    sql: ` AND ${column} IN (${devices.map(() => '?').join(', ')})`,
+    params: devices,
+  }
+}
+
+/* Longest window a single query may cover */
+export const MAX_SPAN_DAYS = 366
+
+/**
+ * Time window from `from`/`to` (ISO 8601) or, failing those, `hours`
+ * back from now. `to` defaults to now and `from` to `defaultHours` before
+ * `to`. Returns `{ from, to }` as ISO strings, or `{ error }`.
+ */
+export function parseRange(c, { defaultHours = 24, maxSpanDays = MAX_SPAN_DAYS } = {}) {
+  const fromParam = c.req.query('from')
+  const toParam = c.req.query('to')
+  const now = Date.now()
+
+  let from
+  let to
+  if (fromParam || toParam) {
+    to = toParam ? Date.parse(toParam) : now
+    from = fromParam ? Date.parse(fromParam) : to - defaultHours * 60 * 60 * 1000
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return { error: 'from and to must be ISO 8601 timestamps' }
+    }
+  } else {
+    const hours = Number(c.req.query('hours') || defaultHours)
+    if (!Number.isFinite(hours) || hours <= 0) {
+      return { error: 'hours must be a positive number' }
+    }
+    to = now
+    from = now - hours * 60 * 60 * 1000
+  }
+
+  if (from >= to) return { error: 'from must be before to' }
+  if (to - from > maxSpanDays * 24 * 60 * 60 * 1000) {
+    return { error: `The requested range may span at most ${maxSpanDays} days` }
+  }
+
+  return { from: new Date(from).toISOString(), to: new Date(to).toISOString() }
+}
+
+/* ?tz=Europe/Berlin → { timeZone }; UTC when absent, `{ error }` if unknown */
+export function parseTimeZone(c) {
+  const timeZone = c.req.query('tz') || 'UTC'
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+  } catch {
+    return { error: 'tz must be an IANA time zone such as Europe/Berlin' }
+  }
+  return { timeZone }
+}
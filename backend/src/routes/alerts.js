@@ -0,0 +1,175 @@
+// src/routes/alerts.js ---------------------------------------------------
+// Manage the threshold rules the ingress worker evaluates and the webhooks
+// it notifies. Mounted under /api/admin.
+import { Hono } from 'hono'
+import { DEVICE_ID_PATTERN, METRICS } from '../query.js'
+import { DEFAULT_SETTINGS, TEMPERATURE_UNITS, loadOverrides, mergeSettings } from '../settings.js'
+
+const COMPARISONS = ['>', '>=', '<', '<=']
+const WEBHOOK_KINDS = ['json', 'slack', 'ntfy']
+
+const alerts = new Hono()
+
+const isName = v => typeof v === 'string' && v.length > 0 && v.length <= 64
+const isMinutes = max => v => Number.isInteger(v) && v >= 0 && v <= max
+
+/* field → [check, message]; every field is optional on PATCH */
+const RULE_FIELDS = {
+  name: [isName, 'name must be a string of 1-64 characters'],
+  device_id: [v => v === null || (typeof v === 'string' && DEVICE_ID_PATTERN.test(v)), 'device_id must be a device ID or null for every device'],
+  metric: [v => METRICS.includes(v), `metric must be one of ${METRICS.join(', ')}`],
+  comparison: [v => COMPARISONS.includes(v), `comparison must be one of ${COMPARISONS.join(' ')}`],
+  threshold: [v => typeof v === 'number' && Number.isFinite(v), 'threshold must be a number'],
+  unit: [v => TEMPERATURE_UNITS.includes(v), `unit must be ${TEMPERATURE_UNITS.join(' or ')}`],
+  duration_minutes: [isMinutes(24 * 60), 'duration_minutes must be an integer between 0 and 1440'],
+  cooldown_minutes: [isMinutes(7 * 24 * 60), 'cooldown_minutes must be an integer between 0 and 10080'],
+  enabled: [v => typeof v === 'boolean', 'enabled must be a boolean'],
+}
+const REQUIRED_RULE_FIELDS = ['name', 'metric', 'comparison', 'threshold']
+
+const WEBHOOK_FIELDS = {
+  name: [isName, 'name must be a string of 1-64 characters'],
+  kind: [v => WEBHOOK_KINDS.includes(v), `kind must be one of ${WEBHOOK_KINDS.join(', ')}`],
+  url: [v => typeof v === 'string' && /^https?:\/\/\S+$/.test(v), 'url must be an http(s) URL'],
+  enabled: [v => typeof v === 'boolean', 'enabled must be a boolean'],
+}
+const REQUIRED_WEBHOOK_FIELDS = ['name', 'kind', 'url']
+
+/* Validate a JSON body against fields; { values } (booleans as 0/1) or { error } */
+async function readBody(c, fields, required) {
+  const body = await c.req.json().catch(() => null)
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Expected a JSON object' }
+  }
+
+  const missing = required.filter(f => body[f] === undefined)
+  if (missing.length) return { error: `Missing ${missing.join(', ')}` }
+
+  const values = {}
+  for (const [field, [check, message]] of Object.entries(fields)) {
+    if (body[field] === undefined) continue
+    if (!check(body[field])) return { error: message }
+    values[field] = typeof body[field] === 'boolean' ? Number(body[field]) : body[field]
+  }
+  if (!Object.keys(values).length) return { error: `Nothing to update; expected ${Object.keys(fields).join(', ')}` }
+  return { values }
+}
+
+const withEnabled = row => ({ ...row, enabled: !!row.enabled })
+
+/* Temperature thresholds are in the rule's unit: the one given, else the
+   one it had, else the requesting admin's own setting. Other metrics have
+   none. `values` is what the body sets, `current` the stored rule, if any. */
+async function withUnit(c, values, current = {}) {
+  const metric = values.metric ?? current.metric
+  if (metric !== 'temperature') {
+    return values.unit ? { error: 'unit only applies to temperature rules' } : { values: { ...values, unit: null } }
+  }
+  if (values.unit || current.unit) return { values: { ...values, unit: values.unit ?? current.unit } }
+
+  const overrides = await loadOverrides(c.env.DB, c.get('user').id)
+  return { values: { ...values, unit: mergeSettings(DEFAULT_SETTINGS, overrides).temperature_unit } }
+}
+
+function insert(db, table, values) {
+  const columns = Object.keys(values)
+  return db.prepare(
+    `INSERT INTO ${table} (${columns.join(', ')}, created_at) VALUES (${columns.map(() => '?').join(', ')}, ?) RETURNING *`
+  ).bind(...Object.values(values), new Date().toISOString()).first()
+}
+
+function update(db, table, id, values) {
+  return db.prepare(
+    `UPDATE ${table} SET ${Object.keys(values).map(col => `${col} = ?`).join(', ')} WHERE id = ? RETURNING *`
+  ).bind(...Object.values(values), id).first()
+}
+
+/* ------------------------------------------------------------------ */
+/*  /alerts/rules – list, create, update, delete                      */
+/* ------------------------------------------------------------------ */
+alerts.get('/alerts/rules', async (c) => {
+  // firing: how many devices currently breach the rule
+  const { results } = await c.env.DB.prepare(`
+    SELECT r.*, COALESCE(s.firing, 0) AS firing
+    FROM alert_rules r
+    LEFT JOIN (
+      SELECT rule_id, SUM(status = 'firing') AS firing FROM alert_state GROUP BY rule_id
+    ) s ON s.rule_id = r.id
+    ORDER BY r.name ASC
+  `).all()
+  return c.json(results.map(withEnabled))
+})
+
+alerts.post('/alerts/rules', async (c) => {
+  const body = await readBody(c, RULE_FIELDS, REQUIRED_RULE_FIELDS)
+  if (body.error) return c.json({ error: body.error }, 400)
+  const { values, error } = await withUnit(c, body.values)
+  if (error) return c.json({ error }, 400)
+
+  return c.json(withEnabled(await insert(c.env.DB, 'alert_rules', values)), 201)
+})
+
+alerts.patch('/alerts/rules/:id', async (c) => {
+  const body = await readBody(c, RULE_FIELDS, [])
+  if (body.error) return c.json({ error: body.error }, 400)
+
+  const current = await c.env.DB.prepare(
+    'SELECT metric, unit FROM alert_rules WHERE id = ?'
+  ).bind(c.req.param('id')).first()
+  if (!current) return c.json({ error: 'Rule not found' }, 404)
+  const { values, error } = await withUnit(c, body.values, current)
+  if (error) return c.json({ error }, 400)
+
+  const rule = await update(c.env.DB, 'alert_rules', c.req.param('id'), values)
+  if (!rule) return c.json({ error: 'Rule not found' }, 404)
+
+  // A changed condition starts over rather than inheriting a stale breach
+  await c.env.DB.prepare('DELETE FROM alert_state WHERE rule_id = ?').bind(rule.id).run()
+  return c.json(withEnabled(rule))
+})
+
+alerts.delete('/alerts/rules/:id', async (c) => {
+  const id = c.req.param('id')
+  const [{ meta }] = await c.env.DB.batch([
+    c.env.DB.prepare('DELETE FROM alert_rules WHERE id = ?').bind(id),
+    c.env.DB.prepare('DELETE FROM alert_state WHERE rule_id = ?').bind(id),
+  ])
+  if (!meta.changes) return c.json({ error: 'Rule not found' }, 404)
+  return c.json({ id: Number(id), deleted: true })
+})
+
+/* ------------------------------------------------------------------ */
+/*  /alerts/webhooks – list, create, update, delete                   */
+/* ------------------------------------------------------------------ */
+alerts.get('/alerts/webhooks', async (c) => {
+  const { results } = await c.env.DB.prepare(
+    'SELECT * FROM alert_webhooks ORDER BY name ASC'
+  ).all()
+  return c.json(results.map(withEnabled))
+})
+
+alerts.post('/alerts/webhooks', async (c) => {
+  const { values, error } = await readBody(c, WEBHOOK_FIELDS, REQUIRED_WEBHOOK_FIELDS)
+  if (error) return c.json({ error }, 400)
+
+  return c.json(withEnabled(await insert(c.env.DB, 'alert_webhooks', values)), 201)
+})
+
+alerts.patch('/alerts/webhooks/:id', async (c) => {
+  const { values, error } = await readBody(c, WEBHOOK_FIELDS, [])
+  if (error) return c.json({ error }, 400)
+
+  const hook = await update(c.env.DB, 'alert_webhooks', c.req.param('id'), values)
+  if (!hook) return c.json({ error: 'Webhook not found' }, 404)
+  return c.json(withEnabled(hook))
+})
+
+alerts.delete('/alerts/webhooks/:id', async (c) => {
+  const { meta } = await c.env.DB.prepare(
+    'DELETE FROM alert_webhooks WHERE id = ?'
+  ).bind(c.req.param('id')).run()
+  if (!meta.changes) return c.json({ error: 'Webhook not found' }, 404)
+  return c.json({ id: Number(c.req.param('id')), deleted: true })
+})
+
+export default alerts
@@ -0,0 +1,101 @@
+// src/routes/device-keys.js ----------------------------------------------
+// Mint, list, rotate and revoke the per-device keys the ingress worker
+// accepts in X-Auth-Token. Mounted under /api/admin.
+import { Hono } from 'hono'
+import { randomHex, sha256Hex } from '../crypto.js'
+import { DEVICE_ID_PATTERN } from '../query.js'
+
+const keys = new Hono()
+
+/* Store a fresh key for deviceId and return it – the only time it is visible */
+async function mintKey(db, deviceId, now) {
+  const id = randomHex(6)
+  const key = `aqk_${id}_${randomHex(24)}`
+
+  await db.prepare(
+    'INSERT INTO device_keys (id, device_id, key_hash, created_at) VALUES (?, ?, ?, ?)'
+  ).bind(id, deviceId, await sha256Hex(key), now).run()
+
+  return { id, device_id: deviceId, key, created_at: now }
+}
+
+/* ------------------------------------------------------------------ */
+/*  POST /devices/:deviceId/keys – mint (registers unknown devices)   */
+/* ------------------------------------------------------------------ */
+keys.post('/devices/:deviceId/keys', async (c) => {
+  const deviceId = c.req.param('deviceId')
+  if (!DEVICE_ID_PATTERN.test(deviceId)) {
+    return c.json({ error: 'Invalid device ID' }, 400)
+  }
+
+  const { label } = await c.req.json().catch(() => ({}))
+  if (label !== undefined && (typeof label !== 'string' || !label || label.length > 64)) {
+    return c.json({ error: 'label must be a string of 1-64 characters' }, 400)
+  }
+
+  const now = new Date().toISOString()
+  await c.env.DB.prepare(
+    'INSERT INTO devices (id, label, created_at) VALUES (?, ?, ?) ON CONFLICT(id) DO NOTHING'
+  ).bind(deviceId, label ?? deviceId, now).run()
+
+  return c.json(await mintKey(c.env.DB, deviceId, now), 201)
+})
+
+/* ------------------------------------------------------------------ */
+/*  GET /keys[?device=] – list (hashes never leave the database)      */
+/* ------------------------------------------------------------------ */
+keys.get('/keys', async (c) => {
+  const deviceId = c.req.query('device')
+  const stmt = c.env.DB.prepare(`
+    SELECT id, device_id, created_at, last_seen_at, revoked_at
+    FROM device_keys
+    ${deviceId ? 'WHERE device_id = ?' : ''}
+    ORDER BY device_id ASC, created_at DESC
+  `)
+  const { results } = await (deviceId ? stmt.bind(deviceId) : stmt).all()
+  return c.json(results)
+})
+
+/* ------------------------------------------------------------------ */
+/*  POST /keys/:id/rotate – new key now, old one revoked after grace  */
+/* ------------------------------------------------------------------ */
+keys.post('/keys/:id/rotate', async (c) => {
+  const { grace_minutes: grace = 0 } = await c.req.json().catch(() => ({}))
+  if (!Number.isInteger(grace) || grace < 0 || grace > 7 * 24 * 60) {
+    return c.json({ error: 'grace_minutes must be an integer between 0 and 10080' }, 400)
+  }
+
+  const old = await c.env.DB.prepare(
+    'SELECT device_id, revoked_at FROM device_keys WHERE id = ?'
+  ).bind(c.req.param('id')).first()
+  if (!old) return c.json({ error: 'Key not found' }, 404)
+
+  const now = new Date()
+  if (old.revoked_at && old.revoked_at <= now.toISOString()) {
+    return c.json({ error: 'Key is already revoked' }, 409)
+  }
+
+  // Keep the old key alive long enough to re-flash the monitor
+  const revokeAt = new Date(now.getTime() + grace * 60 * 1000).toISOString()
+  await c.env.DB.prepare(
+    'UPDATE device_keys SET revoked_at = ? WHERE id = ?'
+  ).bind(revokeAt, c.req.param('id')).run()
+
+  const minted = await mintKey(c.env.DB, old.device_id, now.toISOString())
+  return c.json({ ...minted, replaces: c.req.param('id'), replaced_key_revoked_at: revokeAt }, 201)
+})
+
+/* ------------------------------------------------------------------ */
+/*  DELETE /keys/:id – revoke immediately                             */
+/* ------------------------------------------------------------------ */
+keys.delete('/keys/:id', async (c) => {
+  const now = new Date().toISOString()
+  const { meta } = await c.env.DB.prepare(
+    'UPDATE device_keys SET revoked_at = ? WHERE id = ? AND (revoked_at IS NULL OR revoked_at > ?)'
+  ).bind(now, c.req.param('id'), now).run()
+
+  if (!meta.changes) return c.json({ error: 'Key not found or already revoked' }, 404)
+  return c.json({ id: c.req.param('id'), revoked_at: now })
+})
+
+export default keys
@@ -0,0 +1,44 @@
+// src/routes/devices.js --------------------------------------------------
+// Rename monitors and tune how their reporting cadence is judged by
+// /api/status and the offline notifications. Mounted under /api/admin.
+import { Hono } from 'hono'
+
+const devices = new Hono()
+
+const isCount = max => v => Number.isInteger(v) && v >= 1 && v <= max
+
+/* field → [check, message] */
+const DEVICE_FIELDS = {
+  label: [v => typeof v === 'string' && v.length > 0 && v.length <= 64, 'label must be a string of 1-64 characters'],
+  report_interval_seconds: [isCount(24 * 60 * 60), 'report_interval_seconds must be an integer between 1 and 86400'],
+  stale_after_intervals: [isCount(1000), 'stale_after_intervals must be an integer between 1 and 1000'],
+  offline_after_intervals: [isCount(1000), 'offline_after_intervals must be an integer between 1 and 1000'],
+}
+
+/* ------------------------------------------------------------------ */
+/*  PATCH /devices/:id – label, report interval, stale/offline limits  */
+/* ------------------------------------------------------------------ */
+devices.patch('/devices/:id', async (c) => {
+  const body = await c.req.json().catch(() => null)
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return c.json({ error: 'Expected a JSON object' }, 400)
+  }
+
+  const fields = Object.keys(DEVICE_FIELDS).filter(f => body[f] !== undefined)
+  if (!fields.length) {
+    return c.json({ error: `Nothing to update; expected ${Object.keys(DEVICE_FIELDS).join(', ')}` }, 400)
+  }
+  for (const field of fields) {
+    const [check, message] = DEVICE_FIELDS[field]
+    if (!check(body[field])) return c.json({ error: message }, 400)
+  }
+
+  const device = await c.env.DB.prepare(`
+    UPDATE devices SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?
+    RETURNING id, label, report_interval_seconds, stale_after_intervals, offline_after_intervals
+  `).bind(...fields.map(f => body[f]), c.req.param('id')).first()
+  if (!device) return c.json({ error: 'Device not found' }, 404)
+  return c.json(device)
+})
+
+export default devices
@@ -0,0 +1,225 @@
+// src/routes/import.js ---------------------------------------------------
+// Bulk-load historical readings: CSV (e.g. from /api/export) or documents
+// exported from the old Cosmos DB container (dendbcontainer). Mounted under
+// /api/admin.
+import { Hono } from 'hono'
+import { DEVICE_ID_PATTERN } from '../query.js'
+
+const importer = new Hono()
+
+/* The ranges of esp_ingress/src/schema.js, keyed by sensor_data column.
+   Old documents may lack fields, so only present values are checked. */
+const FIELDS = {
+  temperature:  { type: 'number',  min: -40, max: 140 },
+  humidity:     { type: 'number',  min: 0,   max: 100 },
+  voc_index:    { type: 'number',  min: 0,   max: 500 },
+  raw_voc:      { type: 'integer', min: 0,   max: 65535 },
+  pm1_0:        { type: 'number',  min: 0,   max: 1000 },
+  pm2_5:        { type: 'number',  min: 0,   max: 1000 },
+  pm10_0:       { type: 'number',  min: 0,   max: 1000 },
+  sample_count: { type: 'integer', min: 1,   max: 10000 },
+}
+const METRIC_FIELDS = Object.keys(FIELDS).filter(f => f !== 'sample_count')
+
+/* Names used by the firmware payloads (and so the Cosmos documents) */
+const ALIASES = { pm10: 'pm10_0', pm1: 'pm1_0', pm25: 'pm2_5' }
+
+const DEFAULT_DEVICE_ID = 'den' // the Cosmos-era monitor
+const MAX_ROWS = 10000
+const MAX_ERRORS_REPORTED = 100
+const INSERT_CHUNK = 500
+
+/* Minimal RFC 4180 reader: quoted fields, "" escapes, CRLF or LF */
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++ }
+      else if (ch === '"') quoted = false
+      else field += ch
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(field); field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(field); field = ''
+      if (row.some(cell => cell !== '')) rows.push(row)
+      row = []
+    } else {
+      field += ch
+    }
+  }
+  row.push(field)
+  if (row.some(cell => cell !== '')) rows.push(row)
+  return rows
+}
+
+/* CSV text → records keyed by header; empty cells become null, numbers numbers */
+function csvRecords(text) {
+  const [header, ...rows] = parseCsv(text)
+  if (!header) return []
+  const columns = header.map(h => h.trim())
+  return rows.map(cells => Object.fromEntries(columns.map((col, i) => {
+    const cell = (cells[i] ?? '').trim()
+    if (cell === '') return [col, null]
+    return [col, col === 'timestamp' || col === 'device_id' || Number.isNaN(Number(cell)) ? cell : Number(cell)]
+  })))
+}
+
+/* A Cosmos export: a JSON array, a { Documents: [...] } query response, or one document per line */
+function cosmosRecords(text) {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    return text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line))
+  }
+  if (Array.isArray(parsed)) return parsed
+  return Array.isArray(parsed?.Documents) ? parsed.Documents : [parsed]
+}
+
+/* ISO string (zone-less ones are UTC, as Python's utcnow() wrote them) or Unix seconds/ms */
+function normalizeTimestamp(value) {
+  let ms = NaN
+  if (typeof value === 'number') {
+    ms = value > 1e12 ? value : value * 1000
+  } else if (typeof value === 'string') {
+    const zoned = /(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim())
+    ms = Date.parse(zoned ? value : `${value.trim()}Z`)
+  }
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null
+}
+
+/* One record → { row } ready to insert, or { errors: [{ field, error }] } */
+function mapRecord(record, defaultDevice) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return { errors: [{ field: null, error: 'record must be an object' }] }
+  }
+
+  const errors = []
+  const row = {}
+
+  const deviceId = record.device_id ?? defaultDevice
+  if (typeof deviceId !== 'string' || !DEVICE_ID_PATTERN.test(deviceId)) {
+    errors.push({ field: 'device_id', error: 'must be 1-32 lowercase letters, digits, "-" or "_"' })
+  }
+  row.device_id = deviceId
+
+  // Cosmos stamps every document with _ts (Unix seconds) if nothing else
+  row.timestamp = normalizeTimestamp(record.timestamp ?? record._ts)
+  if (!row.timestamp) errors.push({ field: 'timestamp', error: 'must be an ISO 8601 string or Unix time' })
+
+  for (const [name, value] of Object.entries(record)) {
+    const field = ALIASES[name] ?? name
+    if (!FIELDS[field] || value === null || value === undefined) continue
+    const { type, min, max } = FIELDS[field]
+    if (typeof value !== 'number' || !Number.isFinite(value)) errors.push({ field, error: `must be a ${type}` })
+    else if (type === 'integer' && !Number.isInteger(value)) errors.push({ field, error: 'must be an integer' })
+    else if (value < min || value > max) errors.push({ field, error: `must be between ${min} and ${max}` })
+    else row[field] = value
+  }
+  if (!METRIC_FIELDS.some(f => row[f] !== undefined)) {
+    errors.push({ field: null, error: 'record has no sensor values' })
+  }
+
+  return errors.length ? { errors } : { row }
+}
+
+/* ------------------------------------------------------------------ */
+/*  POST /import?format=csv|cosmos&device= – body is the file         */
+/*    format defaults from Content-Type; device fills rows without    */
+/*    a device_id column (default den)                                */
+/* ------------------------------------------------------------------ */
+importer.post('/import', async (c) => {
+  const format = c.req.query('format') ||
+    ((c.req.header('Content-Type') || '').includes('csv') ? 'csv' : 'cosmos')
+  if (format !== 'csv' && format !== 'cosmos') {
+    return c.json({ error: 'format must be csv or cosmos' }, 400)
+  }
+  const defaultDevice = c.req.query('device') || DEFAULT_DEVICE_ID
+
+  let records
+  try {
+    const text = await c.req.text()
+    records = format === 'csv' ? csvRecords(text) : cosmosRecords(text)
+  } catch (e) {
+    return c.json({ error: `Could not parse the ${format} body: ${e.message}` }, 400)
+  }
+  if (!Array.isArray(records) || records.length === 0) {
+    return c.json({ error: 'No records found' }, 400)
+  }
+  if (records.length > MAX_ROWS) {
+    return c.json({ error: `At most ${MAX_ROWS} records per import; split the file` }, 413)
+  }
+
+  const rows = []
+  const rejected = []
+  const seen = new Set()
+  let repeated = 0
+  records.forEach((record, index) => {
+    const result = mapRecord(record, defaultDevice)
+    if (result.errors) {
+      rejected.push({ index, errors: result.errors })
+      return
+    }
+    const key = `${result.row.device_id}|${result.row.timestamp}`
+    if (seen.has(key)) {
+      repeated++
+      return
+    }
+    seen.add(key)
+    rows.push(result.row)
+  })
+
+  const db = c.env.DB
+  const now = new Date().toISOString()
+  const insertReading = db.prepare(
+    'INSERT OR IGNORE INTO sensor_data (device_id, timestamp, temperature, humidity, voc_index, raw_voc, pm1_0, pm2_5, pm10_0, sample_count) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+  )
+  // Queue the hours for the ingress worker's rollup cron
+  const queueHour = db.prepare(
+    `INSERT INTO rollup_queue (device_id, hour, queued_at) VALUES (?, ?, ?)
+     ON CONFLICT(device_id, hour) DO UPDATE SET queued_at = excluded.queued_at`
+  )
+  const registerDevice = db.prepare(
+    'INSERT INTO devices (id, label, created_at) VALUES (?, ?, ?) ON CONFLICT(id) DO NOTHING'
+  )
+
+  let inserted = 0
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    const chunk = rows.slice(i, i + INSERT_CHUNK)
+    const results = await db.batch(chunk.map(r => insertReading.bind(
+      r.device_id, r.timestamp, r.temperature ?? null, r.humidity ?? null, r.voc_index ?? null, r.raw_voc ?? null,
+      r.pm1_0 ?? null, r.pm2_5 ?? null, r.pm10_0 ?? null, r.sample_count ?? null,
+    )))
+    inserted += results.reduce((sum, result) => sum + result.meta.changes, 0)
+  }
+
+  if (rows.length) {
+    const hours = [...new Set(rows.map(r => `${r.device_id}|${r.timestamp.slice(0, 13)}:00:00.000Z`))]
+    const statements = [
+      ...[...new Set(rows.map(r => r.device_id))].map(id => registerDevice.bind(id, id, now)),
+      ...hours.map(key => queueHour.bind(...key.split('|'), now)),
+    ]
+    for (let i = 0; i < statements.length; i += INSERT_CHUNK) {
+      await db.batch(statements.slice(i, i + INSERT_CHUNK))
+    }
+  }
+
+  return c.json({
+    received: records.length,
+    inserted,
+    // already stored, or repeated within the file
+    skipped: rows.length - inserted + repeated,
+    rejected: rejected.length,
+    errors: rejected.slice(0, MAX_ERRORS_REPORTED),
+  }, inserted > 0 ? 201 : 200)
+})
+
+export default importer
@@ -0,0 +1,43 @@
+// src/routes/quarantine.js -----------------------------------------------
+// Inspect and clear payloads the ingress worker rejected. Mounted under
+// /api/admin.
+import { Hono } from 'hono'
+
+const quarantine = new Hono()
+
+/* ------------------------------------------------------------------ */
+/*  GET /quarantine[?device=&limit=] – newest first                   */
+/* ------------------------------------------------------------------ */
+quarantine.get('/quarantine', async (c) => {
+  const deviceId = c.req.query('device')
+  const limit = Math.min(Math.max(parseInt(c.req.query('limit') || '100') || 100, 1), 1000)
+
+  const stmt = c.env.DB.prepare(`
+    SELECT id, received_at, device_id, key_id, payload, errors
+    FROM quarantined_readings
+    ${deviceId ? 'WHERE device_id = ?' : ''}
+    ORDER BY received_at DESC
+    LIMIT ${limit}
+  `)
+  const { results } = await (deviceId ? stmt.bind(deviceId) : stmt).all()
+
+  return c.json(results.map(row => ({ ...row, errors: JSON.parse(row.errors) })))
+})
+
+/* ------------------------------------------------------------------ */
+/*  DELETE /quarantine[?before=ISO] – purge (everything by default)   */
+/* ------------------------------------------------------------------ */
+quarantine.delete('/quarantine', async (c) => {
+  const before = c.req.query('before')
+  if (before && Number.isNaN(Date.parse(before))) {
+    return c.json({ error: 'before must be an ISO 8601 timestamp' }, 400)
+  }
+
+  const stmt = c.env.DB.prepare(
+    `DELETE FROM quarantined_readings ${before ? 'WHERE received_at < ?' : ''}`
+  )
+  const { meta } = await (before ? stmt.bind(new Date(before).toISOString()) : stmt).run()
+  return c.json({ deleted: meta.changes })
+})
+
+export default quarantine
@@ -0,0 +1,98 @@
+// src/routes/retention.js ------------------------------------------------
+// Retention overrides and the report of the ingress worker's nightly
+// retention runs. Mounted under /api/admin.
+import { Hono } from 'hono'
+
+const RETENTION_TIERS = ['raw', 'hourly', 'daily']
+const MAX_RETENTION_DAYS = 100 * 365
+
+const retention = new Hono()
+
+/* ------------------------------------------------------------------ */
+/*  GET /retention – overrides and the latest run per tier            */
+/* ------------------------------------------------------------------ */
+retention.get('/retention', async (c) => {
+  const [{ results: overrides }, { results: latest }] = await c.env.DB.batch([
+    c.env.DB.prepare('SELECT tier, days, updated_at FROM retention_policies'),
+    c.env.DB.prepare(`
+      SELECT r.ran_at, r.tier, r.days, r.cutoff, r.deleted, r.complete, r.oldest_remaining
+      FROM retention_runs r
+      JOIN (SELECT tier, MAX(ran_at) AS ran_at FROM retention_runs GROUP BY tier) l
+        ON r.tier = l.tier AND r.ran_at = l.ran_at
+    `),
+  ])
+
+  // Tiers without an override use the ingress worker's RETENTION_<TIER>_DAYS
+  return c.json({
+    tiers: RETENTION_TIERS.map(tier => {
+      const override = overrides.find(o => o.tier === tier)
+      const run = latest.find(r => r.tier === tier)
+      const { tier: _, ...lastRun } = run ?? {}
+      return {
+        tier,
+        override: override ? { days: override.days, updated_at: override.updated_at } : null,
+        last_run: run ? { ...lastRun, complete: !!run.complete } : null,
+      }
+    }),
+  })
+})
+
+/* ------------------------------------------------------------------ */
+/*  PUT /retention – { raw?, hourly?, daily? }: days (0 = forever),   */
+/*  or null to fall back to the worker's environment                  */
+/* ------------------------------------------------------------------ */
+retention.put('/retention', async (c) => {
+  const body = await c.req.json().catch(() => null)
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return c.json({ error: 'Expected a JSON object of tier: days' }, 400)
+  }
+
+  const tiers = Object.keys(body)
+  const unknown = tiers.filter(tier => !RETENTION_TIERS.includes(tier))
+  if (!tiers.length || unknown.length) {
+    return c.json({ error: `Tiers must be ${RETENTION_TIERS.join(', ')}` }, 400)
+  }
+  for (const tier of tiers) {
+    const days = body[tier]
+    if (days !== null && (!Number.isInteger(days) || days < 0 || days > MAX_RETENTION_DAYS)) {
+      return c.json({ error: `${tier} must be null or an integer between 0 and ${MAX_RETENTION_DAYS}` }, 400)
+    }
+  }
+
+  const now = new Date().toISOString()
+  await c.env.DB.batch(tiers.map(tier => body[tier] === null
+    ? c.env.DB.prepare('DELETE FROM retention_policies WHERE tier = ?').bind(tier)
+    : c.env.DB.prepare(`
+        INSERT INTO retention_policies (tier, days, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(tier) DO UPDATE SET days = excluded.days, updated_at = excluded.updated_at
+      `).bind(tier, body[tier], now)))
+
+  // Takes effect on the ingress worker's next run
+  const { results } = await c.env.DB.prepare(
+    'SELECT tier, days, updated_at FROM retention_policies ORDER BY tier ASC'
+  ).all()
+  return c.json({ overrides: results })
+})
+
+/* ------------------------------------------------------------------ */
+/*  GET /retention/runs[?tier=&limit=] – run history, newest first    */
+/* ------------------------------------------------------------------ */
+retention.get('/retention/runs', async (c) => {
+  const tier = c.req.query('tier')
+  if (tier && !RETENTION_TIERS.includes(tier)) {
+    return c.json({ error: `tier must be ${RETENTION_TIERS.join(', ')}` }, 400)
+  }
+  const limit = Math.min(Math.max(parseInt(c.req.query('limit') || '30') || 30, 1), 1000)
+
+  const stmt = c.env.DB.prepare(`
+    SELECT ran_at, tier, days, cutoff, deleted, complete, oldest_remaining
+    FROM retention_runs
+    ${tier ? 'WHERE tier = ?' : ''}
+    ORDER BY ran_at DESC, tier ASC
+    LIMIT ${limit}
+  `)
+  const { results } = await (tier ? stmt.bind(tier) : stmt).all()
+  return c.json(results.map(run => ({ ...run, complete: !!run.complete })))
+})
+
+export default retention
@@ -0,0 +1,166 @@
+// src/routes/session.js --------------------------------------------------
+// Sign-in, token refresh, sign-out, invite acceptance and the current
+// user's sessions. Mounted under /api; /login, /refresh, /logout and
+// /invite/accept are reachable without an access token.
+import { Hono } from 'hono'
+import { hashPassword, verifyPassword } from '../auth.js'
+import { sha256Hex, timingSafeEqualHex } from '../crypto.js'
+import { clearRefreshCookie, endSession, refreshSession, revokeUserSessions, startSession } from '../sessions.js'
+import { clearLoginFailures, loginRetryAfter, recordLoginFailure } from '../throttle.js'
+
+/* The login form sends SHA-256(password) as 64 hex chars */
+const CLIENT_HASH_PATTERN = /^[0-9a-f]{64}$/
+
+/* Account created from ADMIN_PASSWORD while the users table is empty */
+const BOOTSTRAP_USERNAME = 'admin'
+
+const session = new Hono()
+
+function tooManyAttempts(c, retryAfter) {
+  return c.json(
+    { error: `Too many failed sign-ins. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`, retry_after: retryAfter },
+    429,
+    { 'Retry-After': String(retryAfter) },
+  )
+}
+
+/* First sign-in of a fresh install: ADMIN_PASSWORD becomes the admin account */
+async function bootstrapAdmin(c, clientHash) {
+  const { count } = await c.env.DB.prepare('SELECT COUNT(*) AS count FROM users').first()
+  if (count > 0 || !c.env.ADMIN_PASSWORD) return null
+
+  const adminHash = await sha256Hex(c.env.ADMIN_PASSWORD.trim())  // trim stray \n/space
+  if (!timingSafeEqualHex(clientHash, adminHash)) return null
+
+  return c.env.DB.prepare(`
+    INSERT INTO users (username, role, password_hash, created_at) VALUES (?, 'admin', ?, ?)
+    RETURNING id, username, role
+  `).bind(BOOTSTRAP_USERNAME, await hashPassword(clientHash), new Date().toISOString()).first()
+}
+
+/* ------------------------------------------------------------------ */
+/*  POST /login – { username, password: sha256 hex }; throttled per   */
+/*  IP and globally                                                   */
+/* ------------------------------------------------------------------ */
+session.post('/login', async (c) => {
+  const ip = c.req.header('CF-Connecting-IP') || 'unknown'
+  const retryAfter = await loginRetryAfter(c.env.DB, ip)
+  if (retryAfter) return tooManyAttempts(c, retryAfter)
+
+  const { username = BOOTSTRAP_USERNAME, password = '' } = await c.req.json().catch(() => ({}))
+  const clientHash = String(password).toLowerCase()
+
+  let user = null
+  if (typeof username === 'string' && CLIENT_HASH_PATTERN.test(clientHash)) {
+    user = await c.env.DB.prepare(
+      'SELECT id, username, role, password_hash, disabled_at FROM users WHERE username = ?'
+    ).bind(username.trim()).first()
+
+    // Every path pays for one PBKDF2 check, so response times do not tell
+    // which usernames exist
+    if (!user) {
+      await verifyPassword(clientHash, null)
+      user = await bootstrapAdmin(c, clientHash)
+    } else if (!(await verifyPassword(clientHash, user.password_hash)) || user.disabled_at) {
+      user = null
+    }
+  }
+  if (!user) {
+    const lockedFor = await recordLoginFailure(c.env.DB, ip)
+    return c.json(
+      { error: 'Invalid username or password', ...(lockedFor && { retry_after: lockedFor }) },
+      401,
+      lockedFor ? { 'Retry-After': String(lockedFor) } : {},
+    )
+  }
+
+  await c.env.DB.prepare('UPDATE users SET last_login_at = ? WHERE id = ?')
+    .bind(new Date().toISOString(), user.id).run()
+  await clearLoginFailures(c.env.DB, ip)
+  return c.json(await startSession(c, user))
+})
+
+/* ------------------------------------------------------------------ */
+/*  POST /invite/accept – { token, password: sha256 hex }: set the    */
+/*  password from an invite or reset link and sign in                 */
+/* ------------------------------------------------------------------ */
+session.post('/invite/accept', async (c) => {
+  const { token = '', password = '' } = await c.req.json().catch(() => ({}))
+  const clientHash = String(password).toLowerCase()
+  if (!CLIENT_HASH_PATTERN.test(clientHash)) {
+    return c.json({ error: 'password must be the SHA-256 hex of the new password' }, 400)
+  }
+
+  const now = new Date().toISOString()
+  const user = await c.env.DB.prepare(`
+    UPDATE users SET password_hash = ?, invite_hash = NULL, invite_expires_at = NULL, last_login_at = ?
+    WHERE invite_hash = ? AND invite_expires_at > ? AND disabled_at IS NULL
+    RETURNING id, username, role
+  `).bind(await hashPassword(clientHash), now, await sha256Hex(String(token)), now).first()
+
+  if (!user) return c.json({ error: 'This invite link is invalid or has expired' }, 400)
+  return c.json(await startSession(c, user))
+})
+
+/* ------------------------------------------------------------------ */
+/*  POST /refresh – refresh cookie → new access token, rotated cookie */
+/* ------------------------------------------------------------------ */
+session.post('/refresh', async (c) => {
+  const refreshed = await refreshSession(c)
+  if (!refreshed) {
+    clearRefreshCookie(c)
+    return c.json({ error: 'Session expired' }, 401)
+  }
+  return c.json(refreshed)
+})
+
+/* ------------------------------------------------------------------ */
+/*  POST /logout – revoke this browser's session                      */
+/* ------------------------------------------------------------------ */
+session.post('/logout', async (c) => {
+  await endSession(c)
+  clearRefreshCookie(c)
+  return c.body(null, 204)
+})
+
+/* ------------------------------------------------------------------ */
+/*  GET /me – the signed-in user                                      */
+/* ------------------------------------------------------------------ */
+session.get('/me', (c) => c.json(c.get('user')))
+
+/* ------------------------------------------------------------------ */
+/*  GET /sessions – the signed-in user's live sessions                */
+/* ------------------------------------------------------------------ */
+session.get('/sessions', async (c) => {
+  const { results } = await c.env.DB.prepare(`
+    SELECT id, created_at, last_used_at, expires_at, user_agent
+    FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_used_at DESC
+  `).bind(c.get('user').id, new Date().toISOString()).all()
+  return c.json(results.map(row => ({ ...row, current: row.id === c.get('sessionId') })))
+})
+
+/* ------------------------------------------------------------------ */
+/*  DELETE /sessions – sign out everywhere, this browser included     */
+/* ------------------------------------------------------------------ */
+session.delete('/sessions', async (c) => {
+  const revoked = await revokeUserSessions(c.env.DB, c.get('user').id)
+  clearRefreshCookie(c)
+  return c.json({ revoked })
+})
+
+/* ------------------------------------------------------------------ */
+/*  DELETE /sessions/:id – sign out one of your other sessions        */
+/* ------------------------------------------------------------------ */
+session.delete('/sessions/:id', async (c) => {
+  const { meta } = await c.env.DB.prepare(
+    'UPDATE sessions SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL'
+  ).bind(new Date().toISOString(), c.req.param('id'), c.get('user').id).run()
+
+  if (!meta.changes) return c.json({ error: 'Session not found' }, 404)
+  if (c.req.param('id') === c.get('sessionId')) clearRefreshCookie(c)
+  return c.json({ id: c.req.param('id'), revoked: true })
+})
+
+export default session
@@ -0,0 +1,41 @@
+// src/routes/settings.js -------------------------------------------------
+// The signed-in user's display settings. Mounted under /api.
+import { Hono } from 'hono'
+import { DEFAULT_SETTINGS, loadOverrides, mergeSettings, parseSettings } from '../settings.js'
+
+const settings = new Hono()
+
+/* ------------------------------------------------------------------ */
+/*  GET /settings – defaults with the user's changes applied          */
+/* ------------------------------------------------------------------ */
+settings.get('/settings', async (c) => {
+  const overrides = await loadOverrides(c.env.DB, c.get('user').id)
+  return c.json(mergeSettings(DEFAULT_SETTINGS, overrides))
+})
+
+/* ------------------------------------------------------------------ */
+/*  PUT /settings – change some settings, keep the rest               */
+/* ------------------------------------------------------------------ */
+settings.put('/settings', async (c) => {
+  const parsed = parseSettings(await c.req.json().catch(() => null))
+  if (parsed.error) return c.json({ error: parsed.error }, 400)
+
+  const userId = c.get('user').id
+  const overrides = mergeSettings(await loadOverrides(c.env.DB, userId), parsed.values)
+  await c.env.DB.prepare(
+    `INSERT INTO user_settings (user_id, settings, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET settings = excluded.settings, updated_at = excluded.updated_at`
+  ).bind(userId, JSON.stringify(overrides), new Date().toISOString()).run()
+
+  return c.json(mergeSettings(DEFAULT_SETTINGS, overrides))
+})
+
+/* ------------------------------------------------------------------ */
+/*  DELETE /settings – back to the defaults                           */
+/* ------------------------------------------------------------------ */
+settings.delete('/settings', async (c) => {
+  await c.env.DB.prepare('DELETE FROM user_settings WHERE user_id = ?').bind(c.get('user').id).run()
+  return c.json(DEFAULT_SETTINGS)
+})
+
+export default settings
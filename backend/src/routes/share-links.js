@@ -0,0 +1,92 @@
+// src/routes/share-links.js ----------------------------------------------
+// Create, list and revoke read-only share links. Mounted under /api/admin.
+// The token is only returned when the link is created.
+import { Hono } from 'hono'
+import { randomHex, sha256Hex } from '../crypto.js'
+import { METRICS } from '../query.js'
+import { MAX_SHARE_HOURS, shareScope } from '../shares.js'
+
+const links = new Hono()
+
+function listRow(row) {
+  return {
+    id: row.id,
+    ...shareScope({ ...row, metrics: JSON.parse(row.metrics) }),
+    created_by: row.created_by,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at,
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  GET /shares                                                       */
+/* ------------------------------------------------------------------ */
+links.get('/shares', async (c) => {
+  const { results } = await c.env.DB.prepare(`
+    SELECT s.*, d.label AS device_label, u.username AS created_by
+    FROM share_links s
+    JOIN devices d ON d.id = s.device_id
+    LEFT JOIN users u ON u.id = s.created_by
+    ORDER BY s.created_at DESC
+  `).all()
+  return c.json(results.map(listRow))
+})
+
+/* ------------------------------------------------------------------ */
+/*  POST /shares – { device_id, label, metrics, max_hours,            */
+/*  expires_at }                                                      */
+/* ------------------------------------------------------------------ */
+links.post('/shares', async (c) => {
+  const body = await c.req.json().catch(() => ({}))
+  const { device_id: deviceId, metrics = METRICS, max_hours: maxHours = 24, expires_at: expiresAt = null } = body
+
+  const device = typeof deviceId === 'string' && await c.env.DB.prepare(
+    'SELECT id, label FROM devices WHERE id = ?'
+  ).bind(deviceId).first()
+  if (!device) return c.json({ error: 'device_id must be a registered device' }, 400)
+
+  const label = body.label ?? device.label
+  if (typeof label !== 'string' || !label || label.length > 64) {
+    return c.json({ error: 'label must be a string of 1-64 characters' }, 400)
+  }
+  if (!Array.isArray(metrics) || !metrics.length || !metrics.every(m => METRICS.includes(m))) {
+    return c.json({ error: `metrics must be a non-empty list of ${METRICS.join(', ')}` }, 400)
+  }
+  if (!Number.isInteger(maxHours) || maxHours < 1 || maxHours > MAX_SHARE_HOURS) {
+    return c.json({ error: `max_hours must be an integer between 1 and ${MAX_SHARE_HOURS}` }, 400)
+  }
+  if (expiresAt !== null && (typeof expiresAt !== 'string' || !(Date.parse(expiresAt) > Date.now()))) {
+    return c.json({ error: 'expires_at must be a future ISO 8601 timestamp or null' }, 400)
+  }
+
+  const token = `shr_${randomHex(24)}`
+  const row = await c.env.DB.prepare(`
+    INSERT INTO share_links (id, token_hash, label, device_id, metrics, max_hours, expires_at, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    RETURNING *
+  `).bind(
+    randomHex(6), await sha256Hex(token), label, device.id, JSON.stringify([...new Set(metrics)]), maxHours,
+    expiresAt && new Date(expiresAt).toISOString(), c.get('user').id, new Date().toISOString(),
+  ).first()
+
+  return c.json({
+    ...listRow({ ...row, device_label: device.label, created_by: c.get('user').username }),
+    token,
+  }, 201)
+})
+
+/* ------------------------------------------------------------------ */
+/*  DELETE /shares/:id – revoke                                       */
+/* ------------------------------------------------------------------ */
+links.delete('/shares/:id', async (c) => {
+  const now = new Date().toISOString()
+  const { meta } = await c.env.DB.prepare(
+    'UPDATE share_links SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'
+  ).bind(now, c.req.param('id')).run()
+
+  if (!meta.changes) return c.json({ error: 'Share link not found or already revoked' }, 404)
+  return c.json({ id: c.req.param('id'), revoked_at: now })
+})
+
+export default links
@@ -0,0 +1,74 @@
+// src/routes/share.js ----------------------------------------------------
+// The read-only API behind public share links. Mounted under /api/share and
+// reachable without a login: the token in the path grants one device's
+// readings, limited to the link's metrics and history window.
+import { Hono } from 'hono'
+import { AQI_POLLUTANTS, queryAqi } from '../aqi.js'
+import { MAX_RAW_SPAN_HOURS, queryHistory, resolveResolution } from '../history.js'
+import { parseRange } from '../query.js'
+import { findShare, pickShared, shareScope } from '../shares.js'
+
+const share = new Hono()
+
+/* Also matches /:token itself */
+share.use('/:token/*', async (c, next) => {
+  const found = await findShare(c, c.req.param('token'))
+  if (!found) return c.json({ error: 'This share link is invalid or has expired' }, 404)
+  c.set('share', found)
+  await next()
+})
+
+/* ------------------------------------------------------------------ */
+/*  GET /:token – what the link shows                                 */
+/* ------------------------------------------------------------------ */
+share.get('/:token', (c) => c.json(shareScope(c.get('share'))))
+
+/* ------------------------------------------------------------------ */
+/*  GET /:token/data?hours=|from=&to=&resolution=auto – clamped to    */
+/*  link's history window                                             */
+/* ------------------------------------------------------------------ */
+share.get('/:token/data', async (c) => {
+  const { device_id: deviceId, metrics, max_hours: maxHours } = c.get('share')
+  const range = parseRange(c)
+  if (range.error) return c.json({ error: range.error }, 400)
+
+  const earliest = new Date(Date.now() - maxHours * 60 * 60 * 1000).toISOString()
+  const from = range.from > earliest ? range.from : earliest
+  if (from >= range.to) return c.json([])
+
+  const spanSeconds = (Date.parse(range.to) - Date.parse(from)) / 1000
+  const resolution = resolveResolution(c.req.query('resolution') || 'auto', spanSeconds)
+  if (!resolution) {
+    return c.json({ error: 'resolution must be raw, auto, 1m, 5m, 15m, 1h, 6h or 1d' }, 400)
+  }
+  if (resolution === 'raw' && spanSeconds > MAX_RAW_SPAN_HOURS * 60 * 60) {
+    return c.json({ error: `Raw data is limited to ${MAX_RAW_SPAN_HOURS} hours; pick a resolution` }, 400)
+  }
+
+  const results = await queryHistory(c.env.DB, { from, to: range.to, devices: [deviceId], resolution })
+  c.header('X-Resolution', resolution)
+  return c.json(results.map(row => pickShared(row, metrics)))
+})
+
+/* ------------------------------------------------------------------ */
+/*  GET /:token/latest – newest reading                               */
+/* ------------------------------------------------------------------ */
+share.get('/:token/latest', async (c) => {
+  const { device_id: deviceId, metrics } = c.get('share')
+  const row = await c.env.DB.prepare(
+    'SELECT * FROM sensor_data WHERE device_id = ? ORDER BY timestamp DESC LIMIT 1'
+  ).bind(deviceId).first()
+  return c.json(row ? [pickShared(row, metrics)] : [])
+})
+
+/* ------------------------------------------------------------------ */
+/*  GET /:token/aqi – from the shared particulate metrics only        */
+/* ------------------------------------------------------------------ */
+share.get('/:token/aqi', async (c) => {
+  const { device_id: deviceId, metrics } = c.get('share')
+  const pollutants = AQI_POLLUTANTS.filter(p => metrics.includes(p))
+  if (!pollutants.length) return c.json({ error: 'This link does not include particulate readings' }, 403)
+  return c.json(await queryAqi(c.env.DB, [deviceId], { pollutants }))
+})
+
+export default share
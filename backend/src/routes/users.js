@@ -0,0 +1,122 @@
+// src/routes/users.js ----------------------------------------------------
+// Invite, re-role, disable and reset dashboard accounts. Mounted under
+// /api/admin. Invite and reset tokens are shown once; the user sets a
+// password with them through /api/invite/accept. Disabling or resetting
+// a user signs them out everywhere.
+import { Hono } from 'hono'
+import { ROLES, mintInvite } from '../auth.js'
+import { revokeUserSessions } from '../sessions.js'
+
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._@-]{0,63}$/
+
+const users = new Hono()
+
+const LIST_COLUMNS = `id, username, role, created_at, last_login_at, invite_expires_at, disabled_at,
+  CASE WHEN disabled_at IS NOT NULL THEN 'disabled'
+       WHEN password_hash IS NULL THEN 'invited'
+       ELSE 'active' END AS status`
+
+/* Would `userId` losing admin rights leave nobody able to administer? */
+async function isLastAdmin(db, userId) {
+  const { count } = await db.prepare(`
+    SELECT COUNT(*) AS count FROM users
+    WHERE role = 'admin' AND disabled_at IS NULL AND password_hash IS NOT NULL AND id != ?
+  `).bind(userId).first()
+  return count === 0
+}
+
+/* ------------------------------------------------------------------ */
+/*  GET /users                                                        */
+/* ------------------------------------------------------------------ */
+users.get('/users', async (c) => {
+  const { results } = await c.env.DB.prepare(
+    `SELECT ${LIST_COLUMNS} FROM users ORDER BY username ASC`
+  ).all()
+  return c.json(results)
+})
+
+/* ------------------------------------------------------------------ */
+/*  POST /users – { username, role }: invite                          */
+/* ------------------------------------------------------------------ */
+users.post('/users', async (c) => {
+  const { username, role = 'viewer' } = await c.req.json().catch(() => ({}))
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return c.json({ error: 'username must be 1-64 letters, digits, ".", "_", "@" or "-"' }, 400)
+  }
+  if (!ROLES.includes(role)) return c.json({ error: `role must be ${ROLES.join(' or ')}` }, 400)
+
+  const invite = await mintInvite()
+  const user = await c.env.DB.prepare(`
+    INSERT INTO users (username, role, invite_hash, invite_expires_at, created_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(username) DO NOTHING
+    RETURNING ${LIST_COLUMNS}
+  `).bind(username, role, invite.hash, invite.expiresAt, new Date().toISOString()).first()
+  if (!user) return c.json({ error: 'That username is taken' }, 409)
+
+  return c.json({ ...user, invite_token: invite.token }, 201)
+})
+
+/* ------------------------------------------------------------------ */
+/*  PATCH /users/:id – { role }                                       */
+/* ------------------------------------------------------------------ */
+users.patch('/users/:id', async (c) => {
+  const { role } = await c.req.json().catch(() => ({}))
+  if (!ROLES.includes(role)) return c.json({ error: `role must be ${ROLES.join(' or ')}` }, 400)
+
+  const id = Number(c.req.param('id'))
+  if (role !== 'admin' && await isLastAdmin(c.env.DB, id)) {
+    return c.json({ error: 'At least one active admin must remain' }, 409)
+  }
+
+  const user = await c.env.DB.prepare(
+    `UPDATE users SET role = ? WHERE id = ? RETURNING ${LIST_COLUMNS}`
+  ).bind(role, id).first()
+  if (!user) return c.json({ error: 'User not found' }, 404)
+  return c.json(user)
+})
+
+/* ------------------------------------------------------------------ */
+/*  POST /users/:id/disable, /users/:id/enable                        */
+/* ------------------------------------------------------------------ */
+users.post('/users/:id/disable', async (c) => {
+  const id = Number(c.req.param('id'))
+  if (id === c.get('user').id) return c.json({ error: 'You cannot disable yourself' }, 409)
+  if (await isLastAdmin(c.env.DB, id)) return c.json({ error: 'At least one active admin must remain' }, 409)
+
+  const user = await c.env.DB.prepare(
+    `UPDATE users SET disabled_at = COALESCE(disabled_at, ?) WHERE id = ? RETURNING ${LIST_COLUMNS}`
+  ).bind(new Date().toISOString(), id).first()
+  if (!user) return c.json({ error: 'User not found' }, 404)
+
+  await revokeUserSessions(c.env.DB, id)
+  return c.json(user)
+})
+
+users.post('/users/:id/enable', async (c) => {
+  const user = await c.env.DB.prepare(
+    `UPDATE users SET disabled_at = NULL WHERE id = ? RETURNING ${LIST_COLUMNS}`
+  ).bind(c.req.param('id')).first()
+  if (!user) return c.json({ error: 'User not found' }, 404)
+  return c.json(user)
+})
+
+/* ------------------------------------------------------------------ */
+/*  POST /users/:id/reset – clear the password, new invite token      */
+/* ------------------------------------------------------------------ */
+users.post('/users/:id/reset', async (c) => {
+  const id = Number(c.req.param('id'))
+  if (id === c.get('user').id) return c.json({ error: 'You cannot reset your own password here' }, 409)
+  if (await isLastAdmin(c.env.DB, id)) return c.json({ error: 'At least one active admin must remain' }, 409)
+
+  const invite = await mintInvite()
+  const user = await c.env.DB.prepare(`
+    UPDATE users SET password_hash = NULL, invite_hash = ?, invite_expires_at = ? WHERE id = ?
+    RETURNING ${LIST_COLUMNS}
+  `).bind(invite.hash, invite.expiresAt, id).first()
+  if (!user) return c.json({ error: 'User not found' }, 404)
+
+  await revokeUserSessions(c.env.DB, id)
+  return c.json({ ...user, invite_token: invite.token })
+})
+
+export default users
@@ -0,0 +1,40 @@
+// src/schema.js ----------------------------------------------------------
+// Which migration the code expects versus what `wrangler d1 migrations
+// apply` has recorded in d1_migrations, so a deploy that ran ahead of (or
+// behind) its migrations is reported instead of failing one query at a time.
+import { log } from './log.js'
+
+/* The newest file in migrations/ this code relies on; bump with each one */
+export const SCHEMA_VERSION = '0016_alert_units.sql'
+
+/**
+ * { expected, applied, status } where status is 'ok', 'behind' (migrations
+ * still to apply), 'ahead' (the database is newer than this code) or
+ * 'unknown' (no migration has been applied through Wrangler).
+ */
+export async function checkSchema(db) {
+  const row = await db.prepare(
+    'SELECT name FROM d1_migrations ORDER BY id DESC LIMIT 1'
+  ).first().catch(() => null) // the table only exists once Wrangler applied something
+
+  const applied = row?.name ?? null
+  let status = 'ok'
+  if (!applied) status = 'unknown'
+  else if (applied < SCHEMA_VERSION) status = 'behind'
+  else if (applied > SCHEMA_VERSION) status = 'ahead'
+
+  return { expected: SCHEMA_VERSION, applied, status }
+}
+
+let startupCheck = null
+
+/* Once per isolate: log a mismatch so it shows up in `wrangler tail` */
+export function checkSchemaOnce(c) {
+  if (startupCheck) return
+  startupCheck = checkSchema(c.env.DB).then(result => {
+    if (result.status !== 'ok') {
+      log('error', 'Schema version mismatch', result)
+    }
+  })
+  c.executionCtx.waitUntil(startupCheck)
+}
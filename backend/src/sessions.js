@@ -0,0 +1,153 @@
+// src/sessions.js --------------------------------------------------------
+// Short-lived access JWTs backed by server-side sessions. Each session holds
+// a refresh token, sent only as an HttpOnly cookie scoped to /api, that is
+// replaced on every refresh; revoking the row ends the session at once,
+// because loadUser checks it on every request.
+import { sign } from 'hono/jwt'
+import { deleteCookie, getCookie, setCookie } from 'hono/cookie'
+import { randomHex, sha256Hex, timingSafeEqualHex } from './crypto.js'
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60
+
+/* Sliding: every refresh pushes the expiry out again */
+const REFRESH_TTL_SECONDS = 30 * 24 * 60 * 60
+
+/* Two tabs refreshing at once both send the old token; the slower one is
+   let through for this long instead of being treated as a replay */
+const REUSE_GRACE_MS = 30 * 1000
+
+const REFRESH_COOKIE = 'aq_refresh'
+const REFRESH_TOKEN_PATTERN = /^rt_([0-9a-f]{16})_[0-9a-f]{64}$/
+
+function mintRefreshToken(sessionId) {
+  return `rt_${sessionId}_${randomHex(32)}`
+}
+
+function setRefreshCookie(c, token) {
+  setCookie(c, REFRESH_COOKIE, token, {
+    path: '/api',
+    httpOnly: true,
+    secure: true,
+    sameSite: 'Strict',
+    maxAge: REFRESH_TTL_SECONDS,
+  })
+}
+
+export function clearRefreshCookie(c) {
+  deleteCookie(c, REFRESH_COOKIE, { path: '/api', httpOnly: true, secure: true, sameSite: 'Strict' })
+}
+
+async function issueAccessToken(c, user, sessionId) {
+  const now = Math.floor(Date.now() / 1000)
+  const payload = {
+    sub: user.id, sid: sessionId, username: user.username, role: user.role,
+    iat: now, exp: now + ACCESS_TOKEN_TTL_SECONDS,
+  }
+  return {
+    token: await sign(payload, c.env.JWT_SECRET),
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    user: { id: user.id, username: user.username, role: user.role },
+  }
+}
+
+/* After a successful sign-in: new session, refresh cookie and access token */
+export async function startSession(c, user) {
+  const now = new Date()
+  const id = randomHex(8)
+  const refreshToken = mintRefreshToken(id)
+
+  await c.env.DB.batch([
+    // Dead sessions are only kept until the user's next sign-in
+    c.env.DB.prepare(
+      'DELETE FROM sessions WHERE user_id = ? AND (expires_at <= ? OR revoked_at IS NOT NULL)'
+    ).bind(user.id, now.toISOString()),
+    c.env.DB.prepare(`
+      INSERT INTO sessions (id, user_id, refresh_hash, created_at, last_used_at, expires_at, user_agent)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      id, user.id, await sha256Hex(refreshToken), now.toISOString(), now.toISOString(),
+      new Date(now.getTime() + REFRESH_TTL_SECONDS * 1000).toISOString(),
+      (c.req.header('User-Agent') || '').slice(0, 256) || null,
+    ),
+  ])
+
+  setRefreshCookie(c, refreshToken)
+  return issueAccessToken(c, user, id)
+}
+
+/* The session row the request's refresh cookie belongs to, and whether the
+   cookie is its current token ('current'), the one just replaced ('previous')
+   or neither */
+async function findSession(c) {
+  const token = getCookie(c, REFRESH_COOKIE) || ''
+  const [, id] = token.match(REFRESH_TOKEN_PATTERN) || []
+  if (!id) return {}
+
+  const session = await c.env.DB.prepare(`
+    SELECT s.id, s.refresh_hash, s.previous_hash, s.rotated_at, s.expires_at, s.revoked_at,
+           u.id AS user_id, u.username, u.role, u.disabled_at
+    FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.id = ?
+  `).bind(id).first()
+  if (!session) return {}
+
+  const hash = await sha256Hex(token)
+  const match = timingSafeEqualHex(hash, session.refresh_hash) ? 'current'
+    : session.previous_hash && timingSafeEqualHex(hash, session.previous_hash) ? 'previous'
+    : null
+  return { session, match }
+}
+
+/* Exchange the refresh cookie for a new access token, rotating the cookie.
+   Returns null when the session is gone, expired, revoked or replayed. */
+export async function refreshSession(c) {
+  const { session, match } = await findSession(c)
+  const now = new Date()
+  if (!session || !match || session.revoked_at || session.disabled_at) return null
+  if (session.expires_at <= now.toISOString()) return null
+
+  const user = { id: session.user_id, username: session.username, role: session.role }
+
+  if (match === 'previous') {
+    if (now - Date.parse(session.rotated_at) < REUSE_GRACE_MS) {
+      // The browser already holds the token that replaced this one
+      return issueAccessToken(c, user, session.id)
+    }
+    // An old token resurfacing means two parties hold this session
+    await c.env.DB.prepare('UPDATE sessions SET revoked_at = ? WHERE id = ?')
+      .bind(now.toISOString(), session.id).run()
+    return null
+  }
+
+  const refreshToken = mintRefreshToken(session.id)
+  const { meta } = await c.env.DB.prepare(`
+    UPDATE sessions
+    SET refresh_hash = ?, previous_hash = refresh_hash, rotated_at = ?, last_used_at = ?, expires_at = ?
+    WHERE id = ? AND refresh_hash = ?
+  `).bind(
+    await sha256Hex(refreshToken), now.toISOString(), now.toISOString(),
+    new Date(now.getTime() + REFRESH_TTL_SECONDS * 1000).toISOString(),
+    session.id, session.refresh_hash,
+  ).run()
+
+  // No change: a concurrent refresh rotated first and its cookie wins
+  if (meta.changes) setRefreshCookie(c, refreshToken)
+  return issueAccessToken(c, user, session.id)
+}
+
+/* Revoke the session behind the refresh cookie, if any */
+export async function endSession(c) {
+  const { session, match } = await findSession(c)
+  if (session && match) {
+    await c.env.DB.prepare('UPDATE sessions SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?')
+      .bind(new Date().toISOString(), session.id).run()
+  }
+}
+
+/* Sign a user out everywhere (disable, password reset, "sign out all") */
+export async function revokeUserSessions(db, userId) {
+  const { meta } = await db.prepare(
+    'UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL'
+  ).bind(new Date().toISOString(), userId).run()
+  return meta.changes
+}
@@ -0,0 +1,109 @@
+// src/settings.js --------------------------------------------------------
+// Per-user display settings: temperature unit, dew point, and the limits
+// that color current readings and mark the charts. Thresholds are kept in
+// the units readings are stored in (°F, %, index, µg/m³), whatever unit the
+// user displays, so they never drift through repeated conversion.
+
+export const TEMPERATURE_UNITS = ['F', 'C']
+
+/* Comfortable between min and max for these; below max for the rest */
+const RANGE_METRICS = ['temperature', 'humidity']
+const LEVELS = ['good', 'moderate', 'bad']
+
+/* PM limits follow the EPA 24-hour breakpoints (2024 for PM2.5) */
+export const DEFAULT_SETTINGS = {
+  temperature_unit: 'F',
+  show_dew_point: false,
+  thresholds: {
+    temperature: { good: { min: 65, max: 75 }, moderate: { min: 60, max: 85 }, bad: { min: 55, max: 90 } },
+    humidity: { good: { min: 30, max: 60 }, moderate: { min: 20, max: 70 }, bad: { min: 15, max: 80 } },
+    voc_index: { good: { max: 100 }, moderate: { max: 200 }, bad: { max: 300 } },
+    pm2_5: { good: { max: 9 }, moderate: { max: 35.4 }, bad: { max: 55.4 } },
+    pm10_0: { good: { max: 54 }, moderate: { max: 154 }, bad: { max: 254 } },
+  },
+}
+
+/* One metric's levels → { value } with only the known fields, or { error }.
+   Each level has to contain the one before it. */
+function parseThreshold(metric, levels) {
+  const fields = RANGE_METRICS.includes(metric) ? ['min', 'max'] : ['max']
+  const shape = `{ ${fields.join(', ')} }`
+  if (!levels || typeof levels !== 'object') {
+    return { error: `thresholds.${metric} must have good, moderate and bad, each ${shape}` }
+  }
+
+  const value = {}
+  let previous = null
+  for (const level of LEVELS) {
+    const limits = levels[level]
+    if (!limits || !fields.every(f => typeof limits[f] === 'number' && Number.isFinite(limits[f]))) {
+      return { error: `thresholds.${metric}.${level} must be ${shape} with numbers` }
+    }
+    if (limits.min > limits.max) {
+      return { error: `thresholds.${metric}.${level}.min must not be above max` }
+    }
+    if (previous && (limits.max < previous.max || limits.min > previous.min)) {
+      return { error: `thresholds.${metric}.${level} must include the ${LEVELS[LEVELS.indexOf(level) - 1]} range` }
+    }
+    value[level] = Object.fromEntries(fields.map(f => [f, limits[f]]))
+    previous = value[level]
+  }
+  return { value }
+}
+
+/**
+ * Validate a PUT /api/settings body. Any of temperature_unit, show_dew_point
+ * and thresholds may be given; each metric under thresholds is replaced
+ * whole. Returns `{ values }` or `{ error }`.
+ */
+export function parseSettings(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Expected a JSON object' }
+  }
+
+  const values = {}
+  if (body.temperature_unit !== undefined) {
+    if (!TEMPERATURE_UNITS.includes(body.temperature_unit)) {
+      return { error: `temperature_unit must be ${TEMPERATURE_UNITS.join(' or ')}` }
+    }
+    values.temperature_unit = body.temperature_unit
+  }
+  if (body.show_dew_point !== undefined) {
+    if (typeof body.show_dew_point !== 'boolean') return { error: 'show_dew_point must be a boolean' }
+    values.show_dew_point = body.show_dew_point
+  }
+  if (body.thresholds !== undefined) {
+    if (!body.thresholds || typeof body.thresholds !== 'object' || Array.isArray(body.thresholds)) {
+      return { error: 'thresholds must be an object keyed by metric' }
+    }
+    values.thresholds = {}
+    for (const [metric, levels] of Object.entries(body.thresholds)) {
+      if (!(metric in DEFAULT_SETTINGS.thresholds)) {
+        return { error: `thresholds may only set ${Object.keys(DEFAULT_SETTINGS.thresholds).join(', ')}` }
+      }
+      const parsed = parseThreshold(metric, levels)
+      if (parsed.error) return parsed
+      values.thresholds[metric] = parsed.value
+    }
+  }
+
+  if (!Object.keys(values).length) {
+    return { error: 'Nothing to update; expected temperature_unit, show_dew_point or thresholds' }
+  }
+  return { values }
+}
+
+/* Later overrides win; thresholds merge per metric */
+export function mergeSettings(...layers) {
+  return layers.reduce((merged, layer) => ({
+    ...merged,
+    ...layer,
+    thresholds: { ...merged.thresholds, ...layer?.thresholds },
+  }), {})
+}
+
+/* What the user has changed from the defaults, as stored */
+export async function loadOverrides(db, userId) {
+  const row = await db.prepare('SELECT settings FROM user_settings WHERE user_id = ?').bind(userId).first()
+  return row ? JSON.parse(row.settings) : {}
+}
@@ -0,0 +1,61 @@
+// src/shares.js ----------------------------------------------------------
+// Share tokens: scoped, read-only access to one device's readings without
+// an account. Admins mint them under /api/admin/shares; guests use them
+// through /api/share/:token.
+import { sha256Hex } from './crypto.js'
+
+export const SHARE_TOKEN_PATTERN = /^shr_[0-9a-f]{48}$/
+
+/* Longest history a link may grant (matches the dashboard's longest range) */
+export const MAX_SHARE_HOURS = 30 * 24
+
+/* last_used_at is only rewritten this often */
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000
+
+/* Public view of a share_links row */
+export function shareScope(row) {
+  return {
+    label: row.label,
+    device_id: row.device_id,
+    device_label: row.device_label,
+    metrics: row.metrics,
+    max_hours: row.max_hours,
+    expires_at: row.expires_at,
+  }
+}
+
+/* Live share for `token`, or null when unknown, revoked or expired */
+export async function findShare(c, token) {
+  if (!SHARE_TOKEN_PATTERN.test(token)) return null
+
+  const now = new Date()
+  const share = await c.env.DB.prepare(`
+    SELECT s.id, s.label, s.device_id, d.label AS device_label, s.metrics, s.max_hours,
+           s.expires_at, s.last_used_at
+    FROM share_links s JOIN devices d ON d.id = s.device_id
+    WHERE s.token_hash = ? AND s.revoked_at IS NULL AND (s.expires_at IS NULL OR s.expires_at > ?)
+  `).bind(await sha256Hex(token), now.toISOString()).first()
+  if (!share) return null
+
+  if (!share.last_used_at || now - Date.parse(share.last_used_at) > TOUCH_INTERVAL_MS) {
+    c.executionCtx.waitUntil(
+      c.env.DB.prepare('UPDATE share_links SET last_used_at = ? WHERE id = ?')
+        .bind(now.toISOString(), share.id).run()
+    )
+  }
+  return { ...share, metrics: JSON.parse(share.metrics) }
+}
+
+/* Keep only the columns a share may see */
+export function pickShared(row, metrics) {
+  const out = { device_id: row.device_id, timestamp: row.timestamp }
+  if ('readings' in row) out.readings = row.readings
+  for (const m of metrics) {
+    out[m] = row[m]
+    if (`${m}_min` in row) {
+      out[`${m}_min`] = row[`${m}_min`]
+      out[`${m}_max`] = row[`${m}_max`]
+    }
+  }
+  return out
+}
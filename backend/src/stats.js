@@ -0,0 +1,127 @@
+// src/stats.js -----------------------------------------------------------
+// Per-device statistics over a window: the distribution of each metric
+// (from raw readings) and its average by local day of week and hour of day
+// (from hourly buckets, so the pattern can span more than raw retention).
+import { queryHistory } from './history.js'
+import { deviceFilter } from './query.js'
+import { localTime } from './zone.js'
+
+/* Heatmap rows, ISO order */
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+
+const emptySummary = { count: 0, min: null, max: null, mean: null, median: null, p95: null, stddev: null }
+
+/* device_id → metric → { count, min, max, mean, median, p95, stddev }.
+   p95 is nearest-rank as in the rollups; stddev is the population one. */
+async function querySummary(db, { from, to, devices, metrics }) {
+  const filter = deviceFilter(devices)
+  const window = `timestamp >= ? AND timestamp <= ?${filter.sql}`
+  const params = [from, to, ...filter.params]
+
+  const aggregates = metrics
+    .map(m => `COUNT(${m}) AS ${m}_count, MIN(${m}) AS ${m}_min, MAX(${m}) AS ${m}_max, ` +
+      `AVG(${m}) AS ${m}_mean, AVG(${m} * ${m}) AS ${m}_square`)
+    .join(',\n           ')
+
+  // Rank within each device; the median averages the two middle values
+  const percentiles = metrics.map(m => db.prepare(`
+    SELECT device_id,
+           AVG(CASE WHEN rn IN ((n + 1) / 2, (n + 2) / 2) THEN v END) AS median,
+           MAX(CASE WHEN rn = (95 * n + 99) / 100 THEN v END) AS p95
+    FROM (
+      SELECT device_id, ${m} AS v,
+             ROW_NUMBER() OVER (PARTITION BY device_id ORDER BY ${m}) AS rn,
+             COUNT(*) OVER (PARTITION BY device_id) AS n
+      FROM sensor_data
+      WHERE ${m} IS NOT NULL AND ${window}
+    )
+    GROUP BY device_id
+  `).bind(...params))
+
+  const [{ results: totals }, ...ranked] = await db.batch([
+    db.prepare(`
+      SELECT device_id,
+             ${aggregates}
+      FROM sensor_data
+      WHERE ${window}
+      GROUP BY device_id
+    `).bind(...params),
+    ...percentiles,
+  ])
+
+  const summaries = new Map()
+  for (const row of totals) {
+    const stats = {}
+    metrics.forEach((m, i) => {
+      const count = row[`${m}_count`]
+      if (!count) {
+        stats[m] = emptySummary
+        return
+      }
+      const rank = ranked[i].results.find(r => r.device_id === row.device_id)
+      const mean = row[`${m}_mean`]
+      stats[m] = {
+        count,
+        min: row[`${m}_min`],
+        max: row[`${m}_max`],
+        mean,
+        median: rank?.median ?? null,
+        p95: rank?.p95 ?? null,
+        stddev: Math.sqrt(Math.max(0, row[`${m}_square`] - mean * mean)),
+      }
+    })
+    summaries.set(row.device_id, stats)
+  }
+  return summaries
+}
+
+/* device_id → metric → 7 × 24 matrix (WEEKDAYS × local hour) of the mean,
+   null where no hour fell into the slot. Hours are weighted by readings. */
+async function queryHeatmaps(db, { from, to, devices, metrics, timeZone }) {
+  const hours = await queryHistory(db, { from, to, devices, resolution: '1h' })
+  const local = localTime(timeZone)
+
+  const grid = () => WEEKDAYS.map(() => Array.from({ length: 24 }, () => ({ sum: 0, n: 0 })))
+  const sums = new Map()
+  for (const row of hours) {
+    if (!sums.has(row.device_id)) {
+      sums.set(row.device_id, Object.fromEntries(metrics.map(m => [m, grid()])))
+    }
+    const { weekday: day, hour } = local(row.timestamp)
+    const device = sums.get(row.device_id)
+    for (const m of metrics) {
+      if (row[m] === null) continue
+      device[m][day][hour].sum += row[m] * row.readings
+      device[m][day][hour].n += row.readings
+    }
+  }
+
+  const heatmaps = new Map()
+  for (const [deviceId, byMetric] of sums) {
+    heatmaps.set(deviceId, Object.fromEntries(Object.entries(byMetric).map(([m, days]) => [
+      m,
+      days.map(cells => cells.map(({ sum, n }) => (n ? sum / n : null))),
+    ])))
+  }
+  return heatmaps
+}
+
+/**
+ * `[{ device_id, metrics: { <metric>: summary }, heatmap: { <metric>:
+ * matrix } }]` for [from, to], one entry per device with data in either.
+ */
+export async function queryStats(db, { from, to, devices, metrics, timeZone }) {
+  const [summaries, heatmaps] = await Promise.all([
+    querySummary(db, { from, to, devices, metrics }),
+    queryHeatmaps(db, { from, to, devices, metrics, timeZone }),
+  ])
+
+  const emptyGrid = WEEKDAYS.map(() => Array(24).fill(null))
+  return [...new Set([...summaries.keys(), ...heatmaps.keys()])]
+    .sort()
+    .map(deviceId => ({
+      device_id: deviceId,
+      metrics: summaries.get(deviceId) ?? Object.fromEntries(metrics.map(m => [m, emptySummary])),
+      heatmap: heatmaps.get(deviceId) ?? Object.fromEntries(metrics.map(m => [m, emptyGrid])),
+    }))
+}
@@ -0,0 +1,40 @@
+// src/status.js ----------------------------------------------------------
+// Online / stale / offline, judged by how many report intervals have
+// passed since a device last delivered data to the ingress worker.
+
+/* devices row (with latest_reading_at) → status entry for /api/status */
+export function deviceStatus(device, now = Date.now()) {
+  const interval = device.report_interval_seconds
+  const staleAfter = interval * device.stale_after_intervals
+  const offlineAfter = interval * device.offline_after_intervals
+  const age = device.last_seen_at ? Math.round((now - Date.parse(device.last_seen_at)) / 1000) : null
+
+  let status = 'online'
+  if (age === null || age > offlineAfter) status = 'offline'
+  else if (age > staleAfter) status = 'stale'
+
+  return {
+    id: device.id,
+    label: device.label,
+    status,
+    last_seen_at: device.last_seen_at,
+    latest_reading_at: device.latest_reading_at,
+    age_seconds: age,
+    report_interval_seconds: interval,
+    stale_after_seconds: staleAfter,
+    offline_after_seconds: offlineAfter,
+  }
+}
+
+/* Every device (or those in the device filter) with its status */
+export async function queryStatus(db, filter) {
+  const { results } = await db.prepare(`
+    SELECT d.*, (SELECT MAX(timestamp) FROM sensor_data s WHERE s.device_id = d.id) AS latest_reading_at
+    FROM devices d
+    WHERE 1 = 1${filter.sql}
+    ORDER BY d.label ASC
+  `).bind(...filter.params).all()
+
+  const now = Date.now()
+  return results.map(device => deviceStatus(device, now))
+}
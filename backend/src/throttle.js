@@ -0,0 +1,69 @@
+// src/throttle.js --------------------------------------------------------
+// Brute-force protection for /api/login. Failures are counted per client IP
+// and globally (a distributed guess spreads over many IPs). After `free`
+// failures each further one locks that key for 1, 2, 4, ... seconds, up to
+// `maxLockSeconds`; the count starts over after `forgetAfterSeconds` without
+// a failure. Locked requests are answered before the password is checked.
+
+const LIMITS = {
+  ip:     { free: 5,   maxLockSeconds: 15 * 60, forgetAfterSeconds: 60 * 60 },
+  global: { free: 100, maxLockSeconds: 5 * 60,  forgetAfterSeconds: 10 * 60 },
+}
+
+/* Rows untouched this long are deleted on the next failure */
+const PRUNE_AFTER_SECONDS = 24 * 60 * 60
+
+function keysFor(ip) {
+  return [
+    { key: `ip:${ip}`, limit: LIMITS.ip },
+    { key: 'global', limit: LIMITS.global },
+  ]
+}
+
+function lockSeconds(failures, { free, maxLockSeconds }) {
+  if (failures <= free) return 0
+  return Math.min(2 ** (failures - free - 1), maxLockSeconds)
+}
+
+/* Seconds until this client may try again, 0 when it is not locked out */
+export async function loginRetryAfter(db, ip, now = new Date()) {
+  const keys = keysFor(ip).map(k => k.key)
+  const { results } = await db.prepare(
+    `SELECT locked_until FROM login_throttle WHERE key IN (${keys.map(() => '?').join(', ')})`
+  ).bind(...keys).all()
+
+  const until = Math.max(0, ...results.map(row => Date.parse(row.locked_until) || 0))
+  return Math.max(0, Math.ceil((until - now.getTime()) / 1000))
+}
+
+/* Count a failed sign-in; returns the lockout it caused in seconds (or 0) */
+export async function recordLoginFailure(db, ip, now = new Date()) {
+  const at = now.toISOString()
+  const keys = keysFor(ip)
+
+  const [, ...counted] = await db.batch([
+    db.prepare('DELETE FROM login_throttle WHERE last_failure_at < ?')
+      .bind(new Date(now.getTime() - PRUNE_AFTER_SECONDS * 1000).toISOString()),
+    ...keys.map(({ key, limit }) => db.prepare(`
+      INSERT INTO login_throttle (key, failures, last_failure_at) VALUES (?, 1, ?)
+      ON CONFLICT(key) DO UPDATE SET
+        failures = CASE WHEN last_failure_at < ? THEN 1 ELSE failures + 1 END,
+        last_failure_at = excluded.last_failure_at
+      RETURNING failures
+    `).bind(key, at, new Date(now.getTime() - limit.forgetAfterSeconds * 1000).toISOString())),
+  ])
+
+  const locks = keys.map(({ key, limit }, i) => ({ key, seconds: lockSeconds(counted[i].results[0].failures, limit) }))
+    .filter(lock => lock.seconds > 0)
+  if (locks.length) {
+    const stmt = db.prepare('UPDATE login_throttle SET locked_until = ? WHERE key = ?')
+    await db.batch(locks.map(({ key, seconds }) =>
+      stmt.bind(new Date(now.getTime() + seconds * 1000).toISOString(), key)))
+  }
+  return Math.max(0, ...locks.map(lock => lock.seconds))
+}
+
+/* A successful sign-in clears the client's own count (not the global one) */
+export async function clearLoginFailures(db, ip) {
+  await db.prepare('DELETE FROM login_throttle WHERE key = ?').bind(`ip:${ip}`).run()
+}
@@ -0,0 +1,85 @@
+// src/zone.js ------------------------------------------------------------
+// Local calendar fields for UTC instants in an IANA time zone. Intl is the
+// only zone database a Worker has, and formatting is slow, so lookups are
+// memoised per formatter.
+
+const WEEKDAY_INDEX = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 }
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+/**
+ * ms (or ISO string) → { year, month, day, hour, minute, second, weekday }
+ * in `timeZone`; weekday counts from Monday = 0.
+ */
+export function localTime(timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short',
+  })
+  const seen = new Map()
+
+  return (instant) => {
+    const ms = typeof instant === 'string' ? Date.parse(instant) : instant
+    if (!seen.has(ms)) {
+      const parts = Object.fromEntries(formatter.formatToParts(new Date(ms)).map(p => [p.type, p.value]))
+      seen.set(ms, {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAY_INDEX[parts.weekday],
+      })
+    }
+    return seen.get(ms)
+  }
+}
+
+/* YYYY-MM-DD for calendar fields */
+export function isoDate({ year, month, day }) {
+  return [year, month, day].map((n, i) => String(n).padStart(i ? 2 : 4, '0')).join('-')
+}
+
+/**
+ * The instant (ms) of local midnight `daysBack` calendar days before the
+ * local date of `ms`. Offsets are re-checked at the result, so days that
+ * are 23 or 25 hours long around DST changes come out right.
+ */
+export function startOfLocalDay(ms, timeZone, daysBack = 0) {
+  const local = localTime(timeZone)
+  const { year, month, day } = local(ms)
+  const target = Date.UTC(year, month - 1, day - daysBack)
+
+  // Offset of the zone at an instant: its local wall time read as UTC, minus the instant
+  const offsetAt = (instant) => {
+    const t = local(instant)
+    return Date.UTC(t.year, t.month - 1, t.day, t.hour, t.minute, t.second) - Math.floor(instant / 1000) * 1000
+  }
+
+  let guess = target - offsetAt(target)
+  guess = target - offsetAt(guess)
+  return guess
+}
+
+/**
+ * Whether `timeZone` is a whole number of hours off UTC throughout [from,
+ * to] (ISO strings), i.e. its local hours start on UTC hours. Not so for
+ * India, Nepal, Newfoundland, South Australia and a few more. Offsets are
+ * sampled once a day, as they change at most twice a year.
+ */
+export function wholeHourOffset(timeZone, from, to) {
+  const local = localTime(timeZone)
+  const end = Date.parse(to)
+  for (let t = Date.parse(from); ; t = Math.min(t + DAY_MS, end)) {
+    if (local(Math.floor(t / HOUR_MS) * HOUR_MS).minute !== 0) return false
+    if (t >= end) return true
+  }
+}
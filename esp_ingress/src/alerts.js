@@ -0,0 +1,121 @@
+// Threshold alert rules (alert_rules), evaluated against each device's
+// readings as they are ingested. A rule goes pending on the first breaching
+// reading, fires once the breach has lasted duration_minutes (and the last
+// firing is cooldown_minutes behind), and resolves on the first reading
+// back inside the threshold. Times are reading timestamps, so a replayed
+// backlog is judged by when it was measured, not when it arrived.
+// Temperature rules carry the unit (°F or °C) their threshold was written
+// in; readings are converted to it before comparing, and events and
+// notifications report values in it.
+import { notify } from './webhooks.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const COMPARATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+};
+
+function elapsedMinutes(from, to) {
+  return (Date.parse(to) - Date.parse(from)) / MINUTE_MS;
+}
+
+// Readings are stored in °F
+function inRuleUnit(rule, value) {
+  return rule.unit === 'C' ? (value - 32) * 5 / 9 : value;
+}
+
+function describe(rule, event, deviceId, value) {
+  const verb = event === 'firing' ? 'is' : 'is back to';
+  const unit = rule.unit ? `°${rule.unit}` : '';
+  const shown = rule.unit ? Math.round(value * 10) / 10 : value;
+  return `${rule.metric} on ${deviceId} ${verb} ${shown}${unit} (alert when ${rule.comparison} ${rule.threshold}${unit})`;
+}
+
+// Step one rule's state through one reading; returns the event it raised, if any
+function step(rule, state, timestamp, value) {
+  state.last_reading_at = timestamp;
+
+  if (COMPARATORS[rule.comparison](value, rule.threshold)) {
+    if (state.status === 'ok') {
+      state.status = 'pending';
+      state.breach_since = timestamp;
+    }
+    const cooledDown = !state.last_fired_at || elapsedMinutes(state.last_fired_at, timestamp) >= rule.cooldown_minutes;
+    if (state.status === 'pending' && elapsedMinutes(state.breach_since, timestamp) >= rule.duration_minutes && cooledDown) {
+      state.status = 'firing';
+      state.last_fired_at = timestamp;
+      return 'firing';
+    }
+    return null;
+  }
+
+  const wasFiring = state.status === 'firing';
+  state.status = 'ok';
+  state.breach_since = null;
+  return wasFiring ? 'resolved' : null;
+}
+
+/**
+ * Run `readings` (sensor_data rows, any order) for deviceId through the
+ * rules that apply to it, persist the new states and events, and send
+ * notifications. Readings no newer than a rule's last evaluated one are
+ * ignored.
+ */
+export async function evaluateAlerts(env, deviceId, readings) {
+  const [{ results: rules }, { results: states }] = await env.DB.batch([
+    env.DB.prepare(
+      'SELECT * FROM alert_rules WHERE enabled = 1 AND (device_id IS NULL OR device_id = ?)'
+    ).bind(deviceId),
+    env.DB.prepare('SELECT * FROM alert_state WHERE device_id = ?').bind(deviceId),
+  ]);
+  if (rules.length === 0) return;
+
+  const ordered = [...readings].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const events = [];
+  const touched = [];
+
+  for (const rule of rules) {
+    const state = states.find(s => s.rule_id === rule.id) ??
+      { rule_id: rule.id, device_id: deviceId, status: 'ok', breach_since: null, last_fired_at: null, last_reading_at: '' };
+    const before = JSON.stringify(state);
+
+    for (const reading of ordered) {
+      const stored = reading[rule.metric];
+      if (reading.timestamp <= state.last_reading_at || stored === null || stored === undefined) continue;
+
+      const value = inRuleUnit(rule, stored);
+      const event = step(rule, state, reading.timestamp, value);
+      if (event) events.push({ rule, event, at: reading.timestamp, value });
+    }
+    if (JSON.stringify(state) !== before) touched.push(state);
+  }
+  if (touched.length === 0) return;
+
+  const saveState = env.DB.prepare(
+    `INSERT OR REPLACE INTO alert_state (rule_id, device_id, status, breach_since, last_fired_at, last_reading_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  );
+  const saveEvent = env.DB.prepare(
+    'INSERT INTO alert_events (rule_id, device_id, event, at, value, unit, message) VALUES (?, ?, ?, ?, ?, ?, ?)'
+  );
+  const notifications = events.map(({ rule, event, at, value }) => ({
+    event,
+    title: event === 'firing' ? `${rule.name} firing` : `${rule.name} resolved`,
+    message: describe(rule, event, deviceId, value),
+    severity: event === 'firing' ? 'warning' : 'info',
+    rule: { id: rule.id, name: rule.name, metric: rule.metric, comparison: rule.comparison, threshold: rule.threshold, unit: rule.unit },
+    device_id: deviceId,
+    value,
+    unit: rule.unit,
+    at,
+  }));
+
+  await env.DB.batch([
+    ...touched.map(s => saveState.bind(s.rule_id, s.device_id, s.status, s.breach_since, s.last_fired_at, s.last_reading_at)),
+    ...notifications.map(n => saveEvent.bind(n.rule.id, deviceId, n.event, n.at, n.value, n.unit, n.message)),
+  ]);
+  await notify(env, notifications);
+}
@@ -0,0 +1,42 @@
+// Per-device API keys look like `aqk_<key id>_<secret>`. Only the SHA-256 of
+// the whole key is stored, in device_keys (minted through the backend's
+// /api/admin routes).
+const DEVICE_KEY_PREFIX = 'aqk_';
+
+async function sha256Hex(value) {
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/**
+ * Resolve the X-Auth-Token header to a credential.
+ *
+ * Returns `{ keyId, deviceId }` for a live device key, `{ keyId: null,
+ * deviceId: null }` for the legacy shared INGRESS_SECRET (kept until every
+ * monitor has been re-flashed; unset the secret to turn it off), or null.
+ */
+export async function authenticate(request, env, now) {
+  const token = request.headers.get('X-Auth-Token');
+  if (!token) return null;
+
+  if (token.startsWith(DEVICE_KEY_PREFIX)) {
+    // revoked_at may lie in the future while a rotated key is phased out
+    const key = await env.DB.prepare(
+      'SELECT id, device_id FROM device_keys WHERE key_hash = ? AND (revoked_at IS NULL OR revoked_at > ?)'
+    ).bind(await sha256Hex(token), now).first();
+
+    return key ? { keyId: key.id, deviceId: key.device_id } : null;
+  }
+
+  if (env.INGRESS_SECRET && timingSafeEqual(token, env.INGRESS_SECRET)) {
+    return { keyId: null, deviceId: null };
+  }
+  return null;
+}
@@ -0,0 +1,49 @@
+// GET /health: D1 reachability, ingest-side table sizes, the newest reading,
+// the last applied migration and which build is deployed. The expected
+// schema version is checked by the backend (/api/admin/schema).
+const COUNTED_TABLES = ['sensor_data', 'rollup_queue', 'quarantined_readings'];
+
+function buildInfo(env) {
+  return {
+    version: env.BUILD_VERSION ?? null,
+    deployment_id: env.CF_VERSION_METADATA?.id ?? null,
+    deployed_at: env.CF_VERSION_METADATA?.timestamp ?? null,
+  };
+}
+
+/** `{ status: 'ok' | 'error', ... }`; 'error' means D1 could not be queried. */
+export async function checkHealth(env) {
+  const started = Date.now();
+  const db = env.DB;
+
+  try {
+    const results = await db.batch([
+      ...COUNTED_TABLES.map(table => db.prepare(`SELECT COUNT(*) AS count FROM ${table}`)),
+      db.prepare('SELECT MAX(timestamp) AS latest FROM sensor_data'),
+    ]);
+    // d1_migrations only exists once Wrangler has applied a migration
+    const migration = await db.prepare('SELECT name FROM d1_migrations ORDER BY id DESC LIMIT 1')
+      .first()
+      .catch(() => null);
+
+    return {
+      status: 'ok',
+      build: buildInfo(env),
+      live_updates: Boolean(env.LIVE),
+      database: {
+        ok: true,
+        latency_ms: Date.now() - started,
+        schema: { applied: migration?.name ?? null },
+        tables: Object.fromEntries(COUNTED_TABLES.map((table, i) => [table, results[i].results[0].count])),
+        latest_reading_at: results[COUNTED_TABLES.length].results[0].latest,
+      },
+    };
+  } catch (e) {
+    return {
+      status: 'error',
+      build: buildInfo(env),
+      live_updates: Boolean(env.LIVE),
+      database: { ok: false, latency_ms: Date.now() - started, error: e.message },
+    };
+  }
+}
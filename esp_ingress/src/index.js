@@ -1,71 +1,256 @@
-export default {
-  async fetch(request, env, ctx) {
-    if (request.method !== 'POST') {
-      return new Response('Expected POST method', { status: 405 });
-    }
+import { evaluateAlerts } from './alerts.js';
+import { authenticate } from './auth.js';
+import { checkHealth } from './health.js';
+import { publishReadings } from './live.js';
+import { errorFields, log, requestIdOf } from './log.js';
+import { checkOffline } from './offline.js';
+import { quarantine } from './quarantine.js';
+import { loadRetentionPolicy, retentionCutoff, runRetention } from './retention.js';
+import { enqueueRollups, runRollups } from './rollup.js';
+import { validateReading } from './schema.js';
+
+// Firmware built before devices had IDs only ever ran in the den.
+const DEFAULT_DEVICE_ID = 'den';
+const DEVICE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Batches replay readings buffered on the device while it was offline
+const MAX_BATCH_SIZE = 500;
+const DEFAULT_MAX_BACKFILL_HOURS = 168;
+
+// Must match the crons in wrangler.toml; the remaining one runs retention
+const STATUS_CRON = '*/5 * * * *';
+const ROLLUP_CRON = '*/15 * * * *';
+
+function json(body, status) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+function checkDevice(device_id, device_label) {
+  const errors = [];
+  if (typeof device_id !== 'string' || !DEVICE_ID_PATTERN.test(device_id)) {
+    errors.push({ field: 'device_id', error: 'must be 1-32 lowercase letters, digits, "-" or "_"' });
+  }
+  if (device_label !== null && (typeof device_label !== 'string' || device_label.length > 64)) {
+    errors.push({ field: 'device_label', error: 'must be a string of at most 64 characters' });
+  }
+  return errors;
+}
+
+// Validate and store one upload. `details` collects what the request log
+// line reports about it.
+async function ingest(request, env, ctx, requestId, details) {
+  if (request.method !== 'POST') {
+    return new Response('Expected POST method', { status: 405 });
+  }
+
+  try {
+    const receivedAt = Date.now();
+    const timestamp = new Date(receivedAt).toISOString();
 
     // Authenticate request
-    const authToken = request.headers.get('X-Auth-Token');
-    if (!authToken || authToken !== env.INGRESS_SECRET) {
+    const credential = await authenticate(request, env, timestamp);
+    if (!credential) {
       return new Response('Unauthorized', { status: 401 });
     }
 
+    // Keep the raw text so unparseable bodies can still be quarantined
+    const body = await request.text();
+    const source = { receivedAt: timestamp, deviceId: credential.deviceId, keyId: credential.keyId, requestId };
+    Object.assign(details, { device_id: credential.deviceId ?? undefined, key_id: credential.keyId ?? undefined });
+
+    let data;
     try {
-      const data = await request.json();
-      
-      const { temperature, humidity, voc_index, raw_voc, pm1_0, pm2_5, pm10, sample_count } = data;
-
-      // Basic validation
-      if (
-        temperature === undefined ||
-        humidity === undefined ||
-        voc_index === undefined ||
-        raw_voc === undefined ||
-        pm1_0 === undefined ||
-        pm2_5 === undefined ||
-        pm10 === undefined ||
-        sample_count === undefined
-      ) {
-        return new Response('Missing one or more required fields.', { status: 400 });
+      data = JSON.parse(body);
+    } catch {
+      ctx.waitUntil(quarantine(env, source, [{ payload: body, errors: [{ field: null, error: 'invalid JSON' }] }]));
+      return json({ error: 'Invalid JSON payload.' }, 400);
+    }
+
+    // Accepted shapes: one reading, an array of readings, or
+    // { device_id, device_label, readings: [...] }
+    const batch = Array.isArray(data) ? { readings: data } : data;
+    if (batch === null || typeof batch !== 'object') {
+      const error = 'Payload must be a reading, an array of readings or a batch object.';
+      ctx.waitUntil(quarantine(env, source, [{ payload: body, errors: [{ field: null, error }] }]));
+      return json({ error }, 400);
+    }
+    const isBatch = Array.isArray(batch.readings);
+    const readings = isBatch ? batch.readings : [batch];
+
+    if (readings.length === 0 || readings.length > MAX_BATCH_SIZE) {
+      return json({ error: `A batch must contain between 1 and ${MAX_BATCH_SIZE} readings.` }, 400);
+    }
+
+    // A device key pins the device; the payload may repeat its ID but not change it
+    if (credential.deviceId && batch.device_id !== undefined && batch.device_id !== credential.deviceId) {
+      return json({ error: 'device_id does not match the API key.' }, 403);
+    }
+    const device_id = credential.deviceId ?? batch.device_id ?? DEFAULT_DEVICE_ID;
+    const device_label = batch.device_label ?? null;
+
+    const deviceErrors = checkDevice(device_id, device_label);
+    if (deviceErrors.length) {
+      ctx.waitUntil(quarantine(env, source, [{ payload: body, errors: deviceErrors }]));
+      return json({ error: 'Invalid payload.', errors: deviceErrors }, 400);
+    }
+    source.deviceId = device_id;
+    details.device_id = device_id;
+
+    const maxBackfillHours = Number(env.MAX_BACKFILL_HOURS) || DEFAULT_MAX_BACKFILL_HOURS;
+    const accepted = [];
+    const rejected = [];
+    readings.forEach((reading, index) => {
+      const result = validateReading(reading, receivedAt, maxBackfillHours, readings.length > 1);
+      if (result.errors) {
+        rejected.push({ index, errors: result.errors });
+      } else {
+        accepted.push(result.reading);
       }
+    });
+
+    ctx.waitUntil(quarantine(env, source, rejected.map(({ index, errors }) => ({ payload: readings[index], errors }))));
 
-      const timestamp = new Date().toISOString();
+    if (accepted.length === 0) {
+      return isBatch
+        ? json({ error: 'No valid readings.', received: readings.length, rejected }, 400)
+        : json({ error: 'Invalid reading.', errors: rejected[0].errors }, 400);
+    }
 
-      const stmt = env.DB.prepare(
-        'INSERT INTO sensor_data (timestamp, temperature, humidity, voc_index, raw_voc, pm1_0, pm2_5, pm10_0, sample_count) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    // Register the device on first contact; later reports may rename it
+    const upsertDevice = env.DB.prepare(
+      `INSERT INTO devices (id, label, created_at, last_seen_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET label = COALESCE(?, devices.label), last_seen_at = excluded.last_seen_at`
+    ).bind(device_id, device_label ?? device_id, timestamp, timestamp, device_label);
+
+    // (device_id, timestamp) is unique, so replaying a batch is harmless
+    const insertReading = env.DB.prepare(
+      'INSERT OR IGNORE INTO sensor_data (device_id, timestamp, temperature, humidity, voc_index, raw_voc, pm1_0, pm2_5, pm10_0, sample_count) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    );
+    const inserts = accepted.map(r =>
+      insertReading.bind(device_id, r.timestamp, r.temperature, r.humidity, r.voc_index, r.raw_voc, r.pm1_0, r.pm2_5, r.pm10, r.sample_count)
+    );
+
+    const statements = [
+      upsertDevice,
+      ...inserts,
+      ...enqueueRollups(env, device_id, accepted.map(r => r.timestamp), timestamp),
+    ];
+    if (credential.keyId) {
+      statements.push(
+        env.DB.prepare('UPDATE device_keys SET last_seen_at = ? WHERE id = ?').bind(timestamp, credential.keyId)
       );
-      await stmt.bind(timestamp, temperature, humidity, voc_index, raw_voc, pm1_0, pm2_5, pm10, sample_count).run();
+    }
+    const results = await env.DB.batch(statements);
 
-      return new Response('Data ingested successfully.', { status: 201 });
-    } catch (e) {
-      if (e instanceof SyntaxError) {
-        return new Response('Invalid JSON payload.', { status: 400 });
-      }
-      console.error(e);
-      return new Response(`An error occurred: ${e.message}`, { status: 500 });
+    const inserted = results
+      .slice(1, 1 + inserts.length)
+      .reduce((sum, result) => sum + result.meta.changes, 0);
+    Object.assign(details, { received: readings.length, inserted, rejected: rejected.length });
+
+    if (inserted > 0) {
+      // Rules name sensor_data columns; the payload calls pm10_0 "pm10"
+      const rows = accepted.map(r => ({ ...r, pm10_0: r.pm10 }));
+      ctx.waitUntil(evaluateAlerts(env, device_id, rows).catch(e =>
+        log('error', 'Error evaluating alerts', { request_id: requestId, device_id, ...errorFields(e) })
+      ));
+
+      // Only rows that were new (not duplicates) go to the live stream
+      const fresh = accepted
+        .filter((r, i) => results[1 + i].meta.changes > 0)
+        .map(r => ({
+          device_id,
+          timestamp: r.timestamp,
+          temperature: r.temperature,
+          humidity: r.humidity,
+          voc_index: r.voc_index,
+          raw_voc: r.raw_voc,
+          pm1_0: r.pm1_0,
+          pm2_5: r.pm2_5,
+          pm10_0: r.pm10,
+          sample_count: r.sample_count,
+        }));
+      ctx.waitUntil(publishReadings(env, fresh, requestId));
     }
+
+    return json({
+      received: readings.length,
+      inserted,
+      duplicates: accepted.length - inserted,
+      rejected,
+    }, inserted > 0 ? 201 : 200);
+  } catch (e) {
+    log('error', 'Ingest failed', { request_id: requestId, ...details, ...errorFields(e) });
+    return json({ error: `An error occurred: ${e.message}`, request_id: requestId }, 500);
+  }
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const requestId = requestIdOf(request);
+    const started = Date.now();
+    const url = new URL(request.url);
+    const details = {};
+
+    let response;
+    if (request.method === 'GET' && url.pathname === '/health') {
+      const health = await checkHealth(env);
+      response = json({ ...health, checked_at: new Date().toISOString(), request_id: requestId }, health.status === 'ok' ? 200 : 503);
+      response.headers.set('Cache-Control', 'no-store');
+    } else {
+      response = await ingest(request, env, ctx, requestId, details);
+    }
+
+    response.headers.set('X-Request-ID', requestId);
+    log(response.status >= 500 ? 'error' : 'info', 'request', {
+      request_id: requestId,
+      method: request.method,
+      path: url.pathname,
+      status: response.status,
+      duration_ms: Date.now() - started,
+      ...details,
+    });
+    return response;
   },
 
   async scheduled(controller, env, ctx) {
-    try {
-      console.log("Running scheduled task to delete old data.");
+    // Every line of one run shares its run_id
+    const run = { cron: controller.cron, run_id: crypto.randomUUID() };
 
-      const twoMonthsAgo = new Date();
-      twoMonthsAgo.setMonth(twoMonthsAgo.getMonth() - 2);
-      const isoTimestamp = twoMonthsAgo.toISOString();
+    if (controller.cron === STATUS_CRON) {
+      try {
+        const sent = await checkOffline(env);
+        if (sent) log('info', 'Sent device status notifications', { ...run, sent });
+      } catch (e) {
+        log('error', 'Error in offline check', { ...run, ...errorFields(e) });
+      }
+      return;
+    }
 
-      const stmt = env.DB.prepare(
-        'DELETE FROM sensor_data WHERE timestamp < ?'
-      );
-      const { meta, success } = await stmt.bind(isoTimestamp).run();
+    if (controller.cron === ROLLUP_CRON) {
+      try {
+        const policy = await loadRetentionPolicy(env);
+        const days = await runRollups(env, { rawRetainedFrom: retentionCutoff(policy.raw) });
+        log('info', 'Rolled up device-days', { ...run, days });
+      } catch (e) {
+        log('error', 'Error in rollup task', { ...run, ...errorFields(e) });
+      }
+      return;
+    }
 
-      if (success) {
-        console.log(`Successfully deleted ${meta.rows_written} rows older than ${isoTimestamp}.`);
-      } else {
-        console.error("Failed to delete old data.");
+    try {
+      log('info', 'Running retention', run);
+
+      const report = await runRetention(env, await loadRetentionPolicy(env));
+      for (const { tier, cutoff, deleted, complete } of report) {
+        if (!cutoff) continue;
+        // complete: false means more rows remain for the next run
+        log('info', 'Deleted expired rows', { ...run, tier, cutoff, deleted, complete });
       }
     } catch (e) {
-      console.error("Error in scheduled task:", e);
+      log('error', 'Error in retention task', { ...run, ...errorFields(e) });
     }
   },
 };
@@ -0,0 +1,22 @@
+// Stored readings are pushed to open dashboards through the backend's
+// LiveReadings Durable Object. The LIVE binding is optional: without it
+// dashboards fall back to polling.
+import { errorFields, log } from './log.js';
+
+const LIVE_CHANNEL = 'readings'; // backend/src/live.js
+
+/** Publish sensor_data rows that were just inserted. Never throws. */
+export async function publishReadings(env, rows, requestId) {
+  if (!env.LIVE || rows.length === 0) return;
+
+  try {
+    const stub = env.LIVE.get(env.LIVE.idFromName(LIVE_CHANNEL));
+    await stub.fetch('https://live/publish', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Request-ID': requestId },
+      body: JSON.stringify(rows),
+    });
+  } catch (e) {
+    log('error', 'Failed to publish live readings', { request_id: requestId, ...errorFields(e) });
+  }
+}
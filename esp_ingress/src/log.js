@@ -0,0 +1,21 @@
+// Structured logging, the same shape as backend/src/log.js: one JSON object
+// per line. Ingest requests log with a request_id (also returned in
+// X-Request-ID) and cron runs with a run_id.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+export function log(level, message, fields = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, message, ...fields });
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+export function errorFields(e) {
+  return { error: e?.message ?? String(e), stack: e?.stack };
+}
+
+/** The caller's X-Request-ID when it looks like one, otherwise a new one. */
+export function requestIdOf(request) {
+  const incoming = request.headers.get('X-Request-ID');
+  return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
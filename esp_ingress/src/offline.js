@@ -0,0 +1,54 @@
+// Offline notifications. A device that has not delivered data for
+// offline_after_intervals report intervals gets one "offline" notification;
+// the first check after it reports again sends "back online".
+import { notify } from './webhooks.js';
+
+export async function checkOffline(env, now = Date.now()) {
+  const { results: devices } = await env.DB.prepare(
+    `SELECT id, label, last_seen_at, report_interval_seconds, offline_after_intervals, offline_notified_at
+     FROM devices
+     WHERE last_seen_at IS NOT NULL`
+  ).all();
+
+  const checkedAt = new Date(now).toISOString();
+  const statements = [];
+  const notifications = [];
+
+  for (const device of devices) {
+    const silentSeconds = (now - Date.parse(device.last_seen_at)) / 1000;
+    const offline = silentSeconds > device.report_interval_seconds * device.offline_after_intervals;
+    const minutes = Math.round(silentSeconds / 60);
+
+    if (offline && !device.offline_notified_at) {
+      statements.push(
+        env.DB.prepare('UPDATE devices SET offline_notified_at = ? WHERE id = ?').bind(checkedAt, device.id)
+      );
+      notifications.push({
+        event: 'offline',
+        title: `${device.label} offline`,
+        message: `No data from ${device.label} for ${minutes} minutes (last seen ${device.last_seen_at}).`,
+        severity: 'warning',
+        device_id: device.id,
+        last_seen_at: device.last_seen_at,
+        at: checkedAt,
+      });
+    } else if (!offline && device.offline_notified_at) {
+      statements.push(
+        env.DB.prepare('UPDATE devices SET offline_notified_at = NULL WHERE id = ?').bind(device.id)
+      );
+      notifications.push({
+        event: 'online',
+        title: `${device.label} back online`,
+        message: `${device.label} is reporting again.`,
+        severity: 'info',
+        device_id: device.id,
+        last_seen_at: device.last_seen_at,
+        at: checkedAt,
+      });
+    }
+  }
+
+  if (statements.length) await env.DB.batch(statements);
+  await notify(env, notifications);
+  return notifications.length;
+}
@@ -0,0 +1,31 @@
+// Rejected payloads are kept (when QUARANTINE_REJECTED is "true") so sensor
+// faults can be inspected through the backend's /api/admin/quarantine.
+import { errorFields, log } from './log.js';
+
+const MAX_PAYLOAD_LENGTH = 10000;
+
+export function quarantineEnabled(env) {
+  return env.QUARANTINE_REJECTED === 'true';
+}
+
+/**
+ * Store rejected payloads. `entries` is a list of `{ payload, errors }`,
+ * where payload is the offending reading (or raw body text) and errors the
+ * `[{ field, error }]` list sent back to the device. Never throws: losing a
+ * quarantine row must not fail the ingest request.
+ */
+export async function quarantine(env, { receivedAt, deviceId, keyId, requestId }, entries) {
+  if (!quarantineEnabled(env) || entries.length === 0) return;
+
+  try {
+    const stmt = env.DB.prepare(
+      'INSERT INTO quarantined_readings (received_at, device_id, key_id, payload, errors) VALUES (?, ?, ?, ?, ?)'
+    );
+    await env.DB.batch(entries.map(({ payload, errors }) => {
+      const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+      return stmt.bind(receivedAt, deviceId, keyId, text.slice(0, MAX_PAYLOAD_LENGTH), JSON.stringify(errors));
+    }));
+  } catch (e) {
+    log('error', 'Failed to quarantine rejected payloads', { request_id: requestId, device_id: deviceId, ...errorFields(e) });
+  }
+}
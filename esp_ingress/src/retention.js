@@ -0,0 +1,91 @@
+// Retention per storage tier. The policy for each tier comes from
+// retention_policies (set through the backend's /api/admin/retention), then
+// the RETENTION_<TIER>_DAYS variable, then the defaults below; 0 keeps a
+// tier forever. Deletes run in bounded chunks so a large backlog is worked
+// off over several nightly runs instead of one statement D1 may time out on.
+import { log } from './log.js';
+
+export const RETENTION_TIERS = {
+  raw:    { table: 'sensor_data',   column: 'timestamp', variable: 'RETENTION_RAW_DAYS',    defaultDays: 61 },
+  hourly: { table: 'sensor_hourly', column: 'bucket',    variable: 'RETENTION_HOURLY_DAYS', defaultDays: 730 },
+  daily:  { table: 'sensor_daily',  column: 'bucket',    variable: 'RETENTION_DAILY_DAYS',  defaultDays: 0 },
+};
+
+const CHUNK_SIZE = 5000;
+const MAX_CHUNKS_PER_TIER = 10;
+const RUN_HISTORY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDays(value) {
+  const days = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(days) && days >= 0 ? days : null;
+}
+
+/** Days to keep per tier: `{ raw, hourly, daily }`. */
+export async function loadRetentionPolicy(env) {
+  const { results } = await env.DB.prepare('SELECT tier, days FROM retention_policies').all();
+  const overrides = Object.fromEntries(results.map(({ tier, days }) => [tier, days]));
+
+  const policy = {};
+  for (const [tier, { variable, defaultDays }] of Object.entries(RETENTION_TIERS)) {
+    const fromEnv = parseDays(env[variable]);
+    if (env[variable] !== undefined && fromEnv === null) {
+      log('warn', 'Ignoring invalid retention days; expected a whole number', { variable, value: env[variable] });
+    }
+    policy[tier] = overrides[tier] ?? fromEnv ?? defaultDays;
+  }
+  return policy;
+}
+
+/** ISO cutoff for a tier kept `days` days, or null when it is kept forever. */
+export function retentionCutoff(days, now = Date.now()) {
+  return days > 0 ? new Date(now - days * DAY_MS).toISOString() : null;
+}
+
+async function pruneTier(env, { table, column }, cutoff) {
+  // Daily buckets are bare dates, which compare correctly against the date part
+  const bound = table === 'sensor_daily' ? cutoff.slice(0, 10) : cutoff;
+  const stmt = env.DB.prepare(
+    `DELETE FROM ${table} WHERE rowid IN (SELECT rowid FROM ${table} WHERE ${column} < ? LIMIT ${CHUNK_SIZE})`
+  ).bind(bound);
+
+  let deleted = 0;
+  for (let chunk = 0; chunk < MAX_CHUNKS_PER_TIER; chunk++) {
+    const { meta } = await stmt.run();
+    deleted += meta.changes;
+    if (meta.changes < CHUNK_SIZE) return { deleted, complete: true };
+  }
+  return { deleted, complete: false };
+}
+
+/** Prune every tier and record the outcome in retention_runs. */
+export async function runRetention(env, policy) {
+  const ranAt = new Date().toISOString();
+  const report = [];
+
+  // Raw rows still waiting to be rolled up (e.g. imported history) are kept
+  // until the rollup cron has summarised them
+  const pending = await env.DB.prepare('SELECT MIN(hour) AS hour FROM rollup_queue').first('hour');
+
+  for (const [tier, spec] of Object.entries(RETENTION_TIERS)) {
+    let cutoff = retentionCutoff(policy[tier], Date.parse(ranAt));
+    if (tier === 'raw' && cutoff && pending && pending < cutoff) cutoff = pending;
+    const { deleted, complete } = cutoff ? await pruneTier(env, spec, cutoff) : { deleted: 0, complete: true };
+    const oldest = await env.DB.prepare(
+      `SELECT MIN(${spec.column}) AS oldest FROM ${spec.table}`
+    ).first('oldest');
+
+    report.push({ tier, days: policy[tier], cutoff, deleted, complete, oldest_remaining: oldest });
+  }
+
+  const insert = env.DB.prepare(
+    `INSERT INTO retention_runs (ran_at, tier, days, cutoff, deleted, complete, oldest_remaining)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+  await env.DB.batch([
+    ...report.map(r => insert.bind(ranAt, r.tier, r.days, r.cutoff, r.deleted, r.complete ? 1 : 0, r.oldest_remaining)),
+    env.DB.prepare('DELETE FROM retention_runs WHERE ran_at < ?').bind(retentionCutoff(RUN_HISTORY_DAYS)),
+  ]);
+
+  return report;
+}
@@ -0,0 +1,122 @@
+// Hourly and daily rollups (avg/min/max/p95 per metric) built from raw
+// sensor_data rows. Ingest queues every hour it writes to; the cron drains
+// the queue a few device-days at a time to stay inside D1's per-invocation
+// query limit, so a large backlog (e.g. right after the migration) catches
+// up over several runs.
+export const ROLLUP_METRICS = ['temperature', 'humidity', 'voc_index', 'raw_voc', 'pm1_0', 'pm2_5', 'pm10_0'];
+
+const MAX_DAYS_PER_RUN = 8;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const COLUMNS = [
+  'readings',
+  'sample_count',
+  ...ROLLUP_METRICS.flatMap(m => [`${m}_avg`, `${m}_min`, `${m}_max`, `${m}_p95`]),
+];
+
+// Timestamps are stored as toISOString() output, so the hour is a prefix
+function hourOf(timestamp) {
+  return `${timestamp.slice(0, 13)}:00:00.000Z`;
+}
+
+/** Statements that mark the hours covering `timestamps` for (re)summarising. */
+export function enqueueRollups(env, deviceId, timestamps, queuedAt) {
+  const stmt = env.DB.prepare(
+    `INSERT INTO rollup_queue (device_id, hour, queued_at) VALUES (?, ?, ?)
+     ON CONFLICT(device_id, hour) DO UPDATE SET queued_at = excluded.queued_at`
+  );
+  return [...new Set(timestamps.map(hourOf))].map(hour => stmt.bind(deviceId, hour, queuedAt));
+}
+
+function summarize(rows) {
+  const summary = {
+    readings: rows.length,
+    sample_count: rows.reduce((sum, row) => sum + (row.sample_count ?? 0), 0),
+  };
+
+  for (const metric of ROLLUP_METRICS) {
+    const values = rows.map(row => row[metric]).filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+    if (values.length === 0) {
+      Object.assign(summary, { [`${metric}_avg`]: null, [`${metric}_min`]: null, [`${metric}_max`]: null, [`${metric}_p95`]: null });
+      continue;
+    }
+    summary[`${metric}_avg`] = values.reduce((sum, v) => sum + v, 0) / values.length;
+    summary[`${metric}_min`] = values[0];
+    summary[`${metric}_max`] = values[values.length - 1];
+    summary[`${metric}_p95`] = values[Math.ceil(values.length * 0.95) - 1]; // nearest rank
+  }
+  return summary;
+}
+
+// `partial` buckets may have lost raw rows to retention: an existing
+// summary is only replaced by one covering at least as many readings
+function writeSummary(env, table, deviceId, bucket, rows, partial = false) {
+  if (rows.length === 0) {
+    return partial
+      ? null
+      : env.DB.prepare(`DELETE FROM ${table} WHERE device_id = ? AND bucket = ?`).bind(deviceId, bucket);
+  }
+  const summary = summarize(rows);
+  return env.DB.prepare(
+    `INSERT INTO ${table} (device_id, bucket, ${COLUMNS.join(', ')})
+     VALUES (?, ?, ${COLUMNS.map(() => '?').join(', ')})
+     ON CONFLICT(device_id, bucket) DO UPDATE SET ${COLUMNS.map(c => `${c} = excluded.${c}`).join(', ')}
+     ${partial ? `WHERE excluded.readings >= ${table}.readings` : ''}`
+  ).bind(deviceId, bucket, ...COLUMNS.map(column => summary[column]));
+}
+
+/**
+ * Summarise queued hours, oldest first. `rawRetainedFrom` is the raw
+ * retention cutoff (ISO, or null when raw rows are kept forever): hours and
+ * days starting before it may have been partly pruned, so their raw rows no
+ * longer describe the whole bucket. Their summary is only replaced when
+ * the raw rows cover at least as many readings, as after importing history.
+ * Returns the number of device-days processed.
+ */
+export async function runRollups(env, { rawRetainedFrom }) {
+  const retained = bucket => !rawRetainedFrom || bucket >= rawRetainedFrom;
+  // Hours queued after this point are left for the next run
+  const startedAt = new Date().toISOString();
+
+  const { results: days } = await env.DB.prepare(
+    `SELECT device_id, SUBSTR(hour, 1, 10) AS day
+     FROM rollup_queue
+     WHERE queued_at <= ?
+     GROUP BY device_id, day
+     ORDER BY day ASC
+     LIMIT ${MAX_DAYS_PER_RUN}`
+  ).bind(startedAt).all();
+
+  for (const { device_id, day } of days) {
+    const dayStart = `${day}T00:00:00.000Z`;
+    const dayEnd = new Date(Date.parse(dayStart) + DAY_MS).toISOString();
+
+    const [{ results: queued }, { results: rows }] = await env.DB.batch([
+      env.DB.prepare(
+        'SELECT hour FROM rollup_queue WHERE device_id = ? AND hour >= ? AND hour < ? AND queued_at <= ?'
+      ).bind(device_id, dayStart, dayEnd, startedAt),
+      env.DB.prepare(
+        `SELECT timestamp, sample_count, ${ROLLUP_METRICS.join(', ')}
+         FROM sensor_data
+         WHERE device_id = ? AND timestamp >= ? AND timestamp < ?`
+      ).bind(device_id, dayStart, dayEnd),
+    ]);
+
+    const statements = queued.map(({ hour }) => {
+      const hourEnd = new Date(Date.parse(hour) + HOUR_MS).toISOString();
+      const hourRows = rows.filter(r => r.timestamp >= hour && r.timestamp < hourEnd);
+      return writeSummary(env, 'sensor_hourly', device_id, hour, hourRows, !retained(hour));
+    });
+    statements.push(writeSummary(env, 'sensor_daily', device_id, day, rows, !retained(dayStart)));
+
+    statements.push(
+      env.DB.prepare(
+        'DELETE FROM rollup_queue WHERE device_id = ? AND hour >= ? AND hour < ? AND queued_at <= ?'
+      ).bind(device_id, dayStart, dayEnd, startedAt)
+    );
+    await env.DB.batch(statements.filter(Boolean));
+  }
+
+  return days.length;
+}
@@ -0,0 +1,75 @@
+// Declared shape of one reading. Ranges are what the sensors can physically
+// report in a home, not their datasheet limits, so a glitching sensor is
+// caught rather than stored:
+//   SHT31     temperature in °F (the firmware converts), relative humidity
+//   SGP40     VOC index 0-500 (0 while the algorithm warms up), raw ticks
+//   PMS7003M  mass concentration, effective range 0-500 µg/m³ (max 1000)
+export const READING_SCHEMA = {
+  temperature:  { type: 'number',  min: -40, max: 140 },
+  humidity:     { type: 'number',  min: 0,   max: 100 },
+  voc_index:    { type: 'number',  min: 0,   max: 500 },
+  raw_voc:      { type: 'integer', min: 0,   max: 65535 },
+  pm1_0:        { type: 'number',  min: 0,   max: 1000 },
+  pm2_5:        { type: 'number',  min: 0,   max: 1000 },
+  pm10:         { type: 'number',  min: 0,   max: 1000 },
+  sample_count: { type: 'integer', min: 1,   max: 10000 },
+};
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function checkField(value, { type, min, max }) {
+  if (value === undefined || value === null) return 'is required';
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a ${type}`;
+  if (type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+  if (value < min || value > max) return `must be between ${min} and ${max}`;
+  return null;
+}
+
+// Device clocks come from NTP and may be unset or drift, so a reported
+// timestamp is only trusted inside [now - backfill window, now + skew].
+// A lone reading without one is stamped on arrival. In a batch that would
+// give every such reading the same timestamp and keep only the first, so
+// there it is an error instead.
+function resolveTimestamp(value, receivedAt, maxBackfillHours, inBatch) {
+  if (value === undefined || value === null) {
+    if (inBatch) return { error: 'is required when sending several readings' };
+    return { timestamp: new Date(receivedAt).toISOString() };
+  }
+
+  const ms = typeof value === 'number' ? value * 1000 : typeof value === 'string' ? Date.parse(value) : NaN;
+  if (!Number.isFinite(ms)) {
+    return { error: 'must be an ISO 8601 string or Unix seconds' };
+  }
+  if (ms > receivedAt + MAX_CLOCK_SKEW_MS) {
+    return { error: 'is in the future; check the device clock' };
+  }
+  if (ms < receivedAt - maxBackfillHours * 60 * 60 * 1000) {
+    return { error: `is older than the ${maxBackfillHours}h backfill window` };
+  }
+  return { timestamp: new Date(ms).toISOString() };
+}
+
+/**
+ * Check one reading against READING_SCHEMA and the clock-skew window.
+ * `inBatch` is set when it arrived alongside other readings, which then
+ * must carry their own timestamps.
+ *
+ * Returns `{ reading }` with the timestamp normalised to ISO 8601, or
+ * `{ errors: [{ field, error }] }` listing every failing field.
+ */
+export function validateReading(reading, receivedAt, maxBackfillHours, inBatch = false) {
+  if (reading === null || typeof reading !== 'object' || Array.isArray(reading)) {
+    return { errors: [{ field: null, error: 'reading must be an object' }] };
+  }
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(READING_SCHEMA)) {
+    const error = checkField(reading[field], rule);
+    if (error) errors.push({ field, error });
+  }
+
+  const time = resolveTimestamp(reading.timestamp, receivedAt, maxBackfillHours, inBatch);
+  if (time.error) errors.push({ field: 'timestamp', error: time.error });
+
+  return errors.length ? { errors } : { reading: { ...reading, timestamp: time.timestamp } };
+}
@@ -0,0 +1,65 @@
+// Notification delivery to the webhooks in alert_webhooks. Each kind gets
+// the body its receiver expects:
+//   json   the notification object as-is
+//   slack  an incoming-webhook message ({ text })
+//   ntfy   plain-text body to a topic URL, with Title/Priority/Tags headers
+import { errorFields, log } from './log.js';
+
+const TIMEOUT_MS = 10 * 1000;
+
+function buildRequest(kind, notification) {
+  const { title, message, severity } = notification;
+  switch (kind) {
+    case 'slack':
+      return {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: `*${title}*\n${message}` }),
+      };
+    case 'ntfy':
+      return {
+        headers: {
+          Title: title,
+          Priority: severity === 'warning' ? 'high' : 'default',
+          Tags: severity === 'warning' ? 'warning' : 'white_check_mark',
+        },
+        body: message,
+      };
+    default:
+      return {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(notification),
+      };
+  }
+}
+
+/**
+ * POST each notification (`{ title, message, severity, ... }`, severity
+ * "warning" or "info") to every enabled webhook. Never throws: a failing
+ * receiver is logged and skipped.
+ */
+export async function notify(env, notifications) {
+  if (notifications.length === 0) return;
+
+  try {
+    const { results: hooks } = await env.DB.prepare(
+      'SELECT id, kind, url FROM alert_webhooks WHERE enabled = 1'
+    ).all();
+
+    await Promise.all(hooks.flatMap(hook => notifications.map(async notification => {
+      try {
+        const response = await fetch(hook.url, {
+          method: 'POST',
+          ...buildRequest(hook.kind, notification),
+          signal: AbortSignal.timeout(TIMEOUT_MS),
+        });
+        if (!response.ok) {
+          log('error', 'Webhook answered with an error', { webhook_id: hook.id, status: response.status });
+        }
+      } catch (e) {
+        log('error', 'Webhook failed', { webhook_id: hook.id, ...errorFields(e) });
+      }
+    })));
+  } catch (e) {
+    log('error', 'Failed to deliver notifications', errorFields(e));
+  }
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -10,6 +10,7 @@ import {
   Tooltip,
   Legend,
 } from 'chart.js';
+import zoomPlugin from 'chartjs-plugin-zoom';
 
 ChartJS.register(
   CategoryScale,
@@ -18,7 +19,8 @@ ChartJS.register(
   LineElement,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  zoomPlugin
 );
 
 const API_URL = '/api';
@@ -42,32 +44,54 @@ const colors = {
   poor: '#f44336'     // Red
 };
 
-// Reading thresholds
-const thresholds = {
-  temperature: {
-    good: { min: 65, max: 75 },    // 65-75°F is comfortable
-    moderate: { min: 60, max: 85 }, // 60-85°F is acceptable
-    bad: { min: 55, max: 90 }      // 55-90°F is concerning
-  },
-  humidity: {
-    good: { min: 30, max: 60 },    // 30-60% is ideal
-    moderate: { min: 20, max: 70 }, // 20-70% is acceptable
-    bad: { min: 15, max: 80 }      // 15-80% is concerning
-  },
-  voc: {
-    good: { max: 100 },            // 0-100 is good
-    moderate: { max: 200 },        // 101-200 is moderate
-    bad: { max: 300 }             // 201-300 is concerning
-  },
-  pm: {
-    good: { max: 12 },             // 0-12 µg/m³ is good
-    moderate: { max: 35.4 },       // 12.1-35.4 µg/m³ is moderate
-    bad: { max: 55.4 }            // 35.5-55.4 µg/m³ is concerning
+// Used until /api/settings answers, and on share links. Thresholds are in
+// the units readings are stored in (°F, %, index, µg/m³) whatever the
+// display unit, and each level contains the one before it.
+const defaultSettings = {
+  temperature_unit: 'F',
+  show_dew_point: false,
+  thresholds: {
+    temperature: {
+      good: { min: 65, max: 75 },    // 65-75°F is comfortable
+      moderate: { min: 60, max: 85 }, // 60-85°F is acceptable
+      bad: { min: 55, max: 90 }      // 55-90°F is concerning
+    },
+    humidity: {
+      good: { min: 30, max: 60 },    // 30-60% is ideal
+      moderate: { min: 20, max: 70 }, // 20-70% is acceptable
+      bad: { min: 15, max: 80 }      // 15-80% is concerning
+    },
+    voc_index: {
+      good: { max: 100 },            // 0-100 is good
+      moderate: { max: 200 },        // 101-200 is moderate
+      bad: { max: 300 }             // 201-300 is concerning
+    },
+    pm2_5: {
+      good: { max: 9 },              // EPA 24-hour breakpoints
+      moderate: { max: 35.4 },
+      bad: { max: 55.4 }
+    },
+    pm10_0: {
+      good: { max: 54 },
+      moderate: { max: 154 },
+      bad: { max: 254 }
+    }
   }
 };
 
-// Helper function to determine reading status color
-const getReadingColor = (type, value) => {
+// EPA AQI category colors (particulates are rated by the backend's /api/aqi)
+const aqiColors = {
+  'Good': '#00E400',
+  'Moderate': '#FFFF00',
+  'Unhealthy for Sensitive Groups': '#FF7E00',
+  'Unhealthy': '#FF0000',
+  'Very Unhealthy': '#8F3F97',
+  'Hazardous': '#7E0023'
+};
+
+// Helper function to determine reading status color. `value` is in the
+// stored unit, like the thresholds.
+const getReadingColor = (type, value, thresholds = defaultSettings.thresholds) => {
   const threshold = thresholds[type];
   if (!threshold) return colors.text;
 
@@ -84,115 +108,2130 @@ const getReadingColor = (type, value) => {
   }
 };
 
-// Add SHA-256 hashing function
-async function sha256(message) {
-  const msgBuffer = new TextEncoder().encode(message);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  return hashHex;
+// The monitors report °F; everything else about a temperature is display
+const toCelsius = (fahrenheit) => (fahrenheit - 32) * 5 / 9;
+const fromCelsius = (celsius) => celsius * 9 / 5 + 32;
+const toUnit = (fahrenheit, unit) => fahrenheit == null || unit === 'F' ? fahrenheit : toCelsius(fahrenheit);
+const fromUnit = (value, unit) => unit === 'F' ? value : fromCelsius(value);
+
+// Magnus formula over water, in and out in °F
+const dewPoint = (temperature, humidity) => {
+  if (temperature == null || !humidity) return null;
+  const celsius = toCelsius(temperature);
+  const gamma = Math.log(humidity / 100) + 17.62 * celsius / (243.12 + celsius);
+  return fromCelsius(243.12 * gamma / (17.62 - gamma));
+};
+
+// Temperature columns of /api/data, /api/latest and /api/daily-averages
+const temperatureKeys = ['temperature', 'temperature_min', 'temperature_max', 'avg_temperature'];
+
+// Rows as the settings display them: temperatures in the chosen unit and,
+// when asked for, a dew point worked out from temperature and humidity
+const displayRows = (rows, { temperature_unit: unit, show_dew_point: showDewPoint }) => rows.map(row => {
+  const shown = { ...row };
+  temperatureKeys.forEach(key => {
+    if (key in row) shown[key] = toUnit(row[key], unit);
+  });
+  if (showDewPoint) {
+    if ('temperature' in row) shown.dew_point = toUnit(dewPoint(row.temperature, row.humidity), unit);
+    if ('avg_temperature' in row) shown.avg_dew_point = toUnit(dewPoint(row.avg_temperature, row.avg_humidity), unit);
+  }
+  return shown;
+});
+
+// One metric's limits in the display unit
+const displayLimits = (thresholds, key, unit) => {
+  const limits = thresholds[key];
+  if (!limits || key !== 'temperature') return limits;
+  return Object.fromEntries(Object.entries(limits).map(([level, { min, max }]) => [
+    level,
+    { min: toUnit(min, unit), max: toUnit(max, unit) }
+  ]));
+};
+
+// Dashed lines across a chart at the edges of the good (green) and moderate
+// (yellow) ranges. Lines outside the data are left out rather than
+// stretching the axis to reach them.
+const thresholdLines = {
+  id: 'thresholdLines',
+  afterDatasetsDraw(chart, args, options) {
+    const { good, moderate } = options.limits ?? {};
+    const { ctx, chartArea, scales: { y } } = chart;
+    if (!good || !y) return;
+
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 1;
+    [[good, colors.good], [moderate, colors.moderate]].forEach(([range, color]) => {
+      [range?.min, range?.max].forEach(value => {
+        if (value === undefined) return;
+        const pixel = y.getPixelForValue(value);
+        if (pixel < chartArea.top || pixel > chartArea.bottom) return;
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(chartArea.left, pixel);
+        ctx.lineTo(chartArea.right, pixel);
+        ctx.stroke();
+      });
+    });
+    ctx.restore();
+  }
+};
+
+ChartJS.register(thresholdLines);
+
+// Line colors for each room when several rooms share a chart
+const deviceColors = [
+  'rgb(255, 99, 132)',
+  'rgb(54, 162, 235)',
+  'rgb(255, 206, 86)',
+  'rgb(75, 192, 192)',
+  'rgb(153, 102, 255)',
+  'rgb(255, 159, 64)'
+];
+
+// Chart definitions shared by the historical and daily-average sections.
+// `dailyKey` is the column name in /api/daily-averages; `limitKey` picks the
+// thresholds the chart marks. Temperature labels are for the default unit,
+// see chartDefinitionsFor.
+const chartDefinitions = [
+  {
+    title: 'Temperature',
+    limitKey: 'temperature',
+    axisTitle: 'Temperature (°F)',
+    suffix: '°F',
+    metrics: [
+      { key: 'temperature', dailyKey: 'avg_temperature', label: 'Temperature', color: 'rgb(255, 99, 132)' }
+    ]
+  },
+  {
+    title: 'Humidity',
+    limitKey: 'humidity',
+    axisTitle: 'Humidity (%)',
+    suffix: '%',
+    metrics: [
+      { key: 'humidity', dailyKey: 'avg_humidity', label: 'Humidity', color: 'rgb(54, 162, 235)' }
+    ]
+  },
+  {
+    title: 'VOC Index',
+    limitKey: 'voc_index',
+    axisTitle: 'VOC Index',
+    suffix: '',
+    metrics: [
+      { key: 'voc_index', dailyKey: 'avg_voc_index', label: 'VOC Index', color: 'rgb(75, 192, 192)' }
+    ]
+  },
+  {
+    title: 'Particulate Matter',
+    limitKey: 'pm2_5',
+    axisTitle: 'Concentration (µg/m³)',
+    suffix: ' µg/m³',
+    metrics: [
+      { key: 'pm1_0', dailyKey: 'avg_pm1_0', label: 'PM1.0', color: 'rgb(255, 159, 64)' },
+      { key: 'pm2_5', dailyKey: 'avg_pm2_5', label: 'PM2.5', color: 'rgb(153, 102, 255)' },
+      { key: 'pm10_0', dailyKey: 'avg_pm10', label: 'PM10', color: 'rgb(201, 203, 207)' }
+    ],
+    // Three PM lines per room is unreadable, so overlays only compare PM2.5
+    overlayTitle: 'PM2.5',
+    overlayMetrics: ['pm2_5']
+  }
+];
+
+const dewPointMetric = { key: 'dew_point', dailyKey: 'avg_dew_point', label: 'Dew Point', color: 'rgb(54, 162, 235)' };
+
+// The charts in the user's temperature unit, with dew point beside
+// temperature when it is turned on (rows come from displayRows)
+const chartDefinitionsFor = ({ temperature_unit: unit, show_dew_point: showDewPoint }) =>
+  chartDefinitions.map(definition => definition.limitKey !== 'temperature' ? definition : {
+    ...definition,
+    axisTitle: `Temperature (°${unit})`,
+    suffix: `°${unit}`,
+    ...(showDewPoint && {
+      metrics: [...definition.metrics, dewPointMetric],
+      overlayMetrics: ['temperature']
+    })
+  });
+
+// Split rows into one group per device, ordered and colored by the device list
+const groupByDevice = (rows, devices) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!groups.has(row.device_id)) groups.set(row.device_id, []);
+    groups.get(row.device_id).push(row);
+  });
+
+  return [...groups.entries()]
+    .map(([id, deviceRows]) => {
+      const index = devices.findIndex(d => d.id === id);
+      return {
+        id,
+        label: index >= 0 ? devices[index].label : id,
+        color: deviceColors[Math.max(index, 0) % deviceColors.length],
+        order: index >= 0 ? index : devices.length,
+        rows: deviceRows
+      };
+    })
+    .sort((a, b) => a.order - b.order);
+};
+
+// One dataset per metric for a single room, or one per room (and metric) when overlaying
+const buildDatasets = (groups, definition, xValue, valueKey = 'key') => {
+  const overlay = groups.length > 1;
+  const metrics = overlay && definition.overlayMetrics
+    ? definition.metrics.filter(m => definition.overlayMetrics.includes(m.key))
+    : definition.metrics;
+
+  return groups.flatMap(group => metrics.map(metric => {
+    const color = overlay ? group.color : metric.color;
+    let label = metric.label;
+    if (overlay) label = metrics.length > 1 ? `${group.label} ${metric.label}` : group.label;
+
+    return {
+      label,
+      // min/max are only present on bucketed rows and feed the tooltip
+      data: group.rows.map(row => ({
+        x: xValue(row),
+        y: row[metric[valueKey]],
+        min: row[`${metric[valueKey]}_min`],
+        max: row[`${metric[valueKey]}_max`]
+      })),
+      borderColor: color,
+      backgroundColor: color.replace('rgb', 'rgba').replace(')', ', 0.1)'),
+      fill: !overlay,
+      tension: 0.4
+    };
+  }));
+};
+
+const formatTime = (value, spanHours) => {
+  const date = new Date(value);
+  if (spanHours > 24) {
+    return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleTimeString();
+};
+
+// <input type="datetime-local"> works in local time without a zone suffix
+const toLocalInput = (ms) => {
+  const date = new Date(ms);
+  return new Date(ms - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// History windows offered by the range pickers (and as share link limits)
+const rangeOptions = [
+  { hours: 1, label: 'Last Hour' },
+  { hours: 6, label: 'Last 6 Hours' },
+  { hours: 12, label: 'Last 12 Hours' },
+  { hours: 24, label: 'Last 24 Hours' },
+  { hours: 48, label: 'Last 48 Hours' },
+  { hours: 72, label: 'Last 72 Hours' },
+  { hours: 168, label: 'Last 7 Days' },
+  { hours: 720, label: 'Last 30 Days' }
+];
+
+const inputStyle = {
+  padding: '0.5rem',
+  backgroundColor: colors.inputBackground,
+  color: colors.text,
+  border: `1px solid ${colors.border}`,
+  borderRadius: '4px'
+};
+
+const formatAge = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 1) return `${Math.max(0, Math.round(seconds))} s`;
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ${minutes % 60} min`;
+  return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+};
+
+// One line per monitor that has stopped reporting, so old "Current
+// Readings" are never mistaken for live ones
+function StaleBanner({ statuses }) {
+  const silent = statuses.filter(device => device.status !== 'online');
+  if (silent.length === 0) return null;
+
+  const worst = silent.some(device => device.status === 'offline') ? colors.poor : colors.moderate;
+  return (
+    <div role="alert" style={{
+      border: `2px solid ${worst}`,
+      backgroundColor: colors.cardBackground,
+      color: colors.text,
+      padding: '1rem 1.5rem',
+      borderRadius: '8px',
+      marginBottom: '2rem'
+    }}>
+      {silent.map(device => (
+        <div key={device.id} style={{ marginBottom: silent.length > 1 ? '0.25rem' : 0 }}>
+          <strong style={{ color: device.status === 'offline' ? colors.poor : colors.moderate }}>
+            {device.label} {device.status === 'offline' ? 'is offline' : 'is not reporting'}:
+          </strong>{' '}
+          {device.latest_reading_at
+            ? `latest reading is ${formatAge((Date.now() - Date.parse(device.latest_reading_at)) / 1000)} old (${new Date(device.latest_reading_at).toLocaleString()}).`
+            : 'no readings received yet.'}
+        </div>
+      ))}
+    </div>
+  );
 }
 
-function App() {
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [token, setToken] = useState('');
-  const [password, setPassword] = useState('');
-  const [sensorData, setSensorData] = useState([]);
-  const [dailyAverages, setDailyAverages] = useState([]);
-  const [timeRange, setTimeRange] = useState(24);
-  const [isLoading, setIsLoading] = useState(true);
+// Server-side alert rules fire and resolve independently of this page.
+// Temperature events are recorded in their rule's unit; for viewers who use
+// the other one they are restated while the rule still exists.
+function AlertHistory({ events, devices, unit }) {
+  const deviceLabel = (id) => devices.find(device => device.id === id)?.label ?? id;
+  const details = (event) => {
+    if (!event.unit || event.unit === unit || !event.threshold_unit) return event.message;
+    const temperature = (value, from) => `${toUnit(fromUnit(value, from), unit).toFixed(1)}°${unit}`;
+    return `Temperature is ${temperature(event.value, event.unit)} (${event.comparison} ${temperature(event.threshold, event.threshold_unit)})`;
+  };
+
+  if (events.length === 0) {
+    return <p style={{ color: colors.textSecondary }}>No alerts have fired.</p>;
+  }
+
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', color: colors.text }}>
+        <thead>
+          <tr style={{ color: colors.textSecondary, textAlign: 'left' }}>
+            {['Time', 'Room', 'Rule', 'Status', 'Details'].map(heading => (
+              <th key={heading} style={{ padding: '0.5rem', borderBottom: `1px solid ${colors.border}` }}>{heading}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {events.map(event => (
+            <tr key={event.id}>
+              <td style={{ padding: '0.5rem', whiteSpace: 'nowrap' }}>{formatTime(event.at, 48)}</td>
+              <td style={{ padding: '0.5rem' }}>{deviceLabel(event.device_id)}</td>
+              <td style={{ padding: '0.5rem' }}>{event.rule_name ?? 'Deleted rule'}</td>
+              <td style={{
+                padding: '0.5rem',
+                fontWeight: 'bold',
+                color: event.event === 'firing' ? colors.poor : colors.good
+              }}>
+                {event.event === 'firing' ? 'Firing' : 'Resolved'}
+              </td>
+              <td style={{ padding: '0.5rem', color: colors.textSecondary }}>{details(event)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Metrics offered by the patterns panel, with their chart unit
+const statsMetrics = chartDefinitions.flatMap(definition =>
+  definition.metrics.map(metric => ({ ...metric, suffix: definition.suffix }))
+);
+
+const statsRangeOptions = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' }
+];
+
+const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Hours of day and days of week are counted in the viewer's own time zone
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Choices for the averages section; every period starts at local midnight
+const averageOptions = [
+  { period: 'day', days: 14, label: 'Daily, last two weeks' },
+  { period: 'week', days: 12 * 7, label: 'Weekly, last 12 weeks' },
+  { period: 'month', days: 365, label: 'Monthly, last year' }
+];
+
+// /api/daily-averages names periods YYYY-MM-DD (days, weeks by their Monday) or YYYY-MM
+const formatPeriod = (label, period) => period === 'month'
+  ? new Date(`${label}-01T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'short' })
+  : new Date(`${label}T00:00:00`).toLocaleDateString();
+
+const formatStat = (value) => value === null ? '–' : value.toFixed(1);
+
+// Distribution of one metric per room and its day-of-week × hour-of-day
+// averages, e.g. VOC rising on weekday evenings while cooking (/api/stats)
+function PatternsPanel({ devices, selectedDevice, unit }) {
+  const [days, setDays] = useState(30);
+  const [metricKey, setMetricKey] = useState('voc_index');
+  const [stats, setStats] = useState(null);
+  const [heatmapDevice, setHeatmapDevice] = useState(null);
   const [error, setError] = useState(null);
 
-  // Token verification effect
   useEffect(() => {
-    const verifyStoredToken = async () => {
-      const storedToken = localStorage.getItem('token');
-      if (!storedToken) {
-        setIsLoading(false);
-        return;
+    const fetchStats = async () => {
+      try {
+        const device = selectedDevice === 'all' ? '' : `&device=${encodeURIComponent(selectedDevice)}`;
+        const response = await apiFetch(`/stats?hours=${days * 24}&tz=${encodeURIComponent(browserTimeZone)}${device}`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch statistics');
+        }
+        setStats(await response.json());
+        setError(null);
+      } catch (error) {
+        console.error('Error fetching statistics:', error);
+        setError(error.message);
       }
+    };
+    fetchStats();
+  }, [days, selectedDevice]);
 
-      try {
-        // Try to fetch data to verify token
-        const response = await fetch(`${API_URL}/data?hours=1`, {
-          headers: {
-            'Authorization': `Bearer ${storedToken}`,
-            'Content-Type': 'application/json'
-          }
-        });
+  const deviceLabel = (id) => devices.find(device => device.id === id)?.label ?? id;
+  const metric = statsMetrics.find(m => m.key === metricKey);
+  const rooms = stats?.devices ?? [];
+  const room = rooms.find(entry => entry.device_id === heatmapDevice) ?? rooms[0];
 
-        if (response.ok) {
-          setToken(storedToken);
-          setIsAuthenticated(true);
-        } else {
-          // Token is invalid, clear it
-          localStorage.removeItem('token');
+  // Statistics come back in °F; a spread converts without the offset
+  const isTemperature = metricKey === 'temperature';
+  const suffix = isTemperature ? `°${unit}` : metric.suffix;
+  const inUnit = (value, field) => {
+    if (!isTemperature || value === null) return value;
+    if (field === 'stddev') return unit === 'C' ? value * 5 / 9 : value;
+    return toUnit(value, unit);
+  };
+
+  // Shade each cell by where it sits between the matrix's lowest and highest mean
+  const matrix = (room?.heatmap[metricKey] ?? []).map(cells => cells.map(value => inUnit(value)));
+  const values = matrix.flat().filter(value => value !== null);
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const cellColor = (value) => {
+    if (value === null) return colors.background;
+    const strength = high > low ? (value - low) / (high - low) : 0.5;
+    return metric.color.replace('rgb(', 'rgba(').replace(')', `, ${(0.1 + 0.9 * strength).toFixed(2)})`);
+  };
+
+  const cellStyle = { padding: '0.5rem', borderBottom: `1px solid ${colors.border}` };
+
+  return (
+    <div style={{ backgroundColor: colors.cardBackground, padding: '1rem', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+        <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} style={inputStyle}>
+          {statsMetrics.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+        </select>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} style={inputStyle}>
+          {statsRangeOptions.map(option => <option key={option.days} value={option.days}>{option.label}</option>)}
+        </select>
+      </div>
+
+      {error && <div style={{ color: colors.danger, marginBottom: '1rem' }}>{error}</div>}
+      {!stats ? (
+        <div style={{ color: colors.textSecondary }}>Loading statistics...</div>
+      ) : rooms.length === 0 ? (
+        <div style={{ color: colors.textSecondary }}>No readings in this range.</div>
+      ) : (
+        <>
+          <div style={{ overflowX: 'auto', marginBottom: '1.5rem' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', color: colors.text }}>
+              <thead>
+                <tr style={{ color: colors.textSecondary, textAlign: 'left' }}>
+                  {['Room', 'Min', 'Max', 'Mean', 'Median', 'P95', 'Std dev', 'Readings'].map(heading => (
+                    <th key={heading} style={cellStyle}>{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rooms.map(entry => {
+                  const summary = entry.metrics[metricKey];
+                  return (
+                    <tr key={entry.device_id}>
+                      <td style={cellStyle}>{deviceLabel(entry.device_id)}</td>
+                      {['min', 'max', 'mean', 'median', 'p95', 'stddev'].map(field => (
+                        <td key={field} style={cellStyle}>
+                          {formatStat(inUnit(summary[field], field))}{summary[field] === null ? '' : suffix}
+                        </td>
+                      ))}
+                      <td style={{ ...cellStyle, color: colors.textSecondary }}>{summary.count}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginBottom: '0.75rem', flexWrap: 'wrap' }}>
+            <h3 style={{ fontSize: '1rem', color: colors.text }}>
+              Average {metric.label} by day and hour ({stats.tz})
+            </h3>
+            {rooms.length > 1 && (
+              <select value={room.device_id} onChange={(e) => setHeatmapDevice(e.target.value)} style={inputStyle}>
+                {rooms.map(entry => (
+                  <option key={entry.device_id} value={entry.device_id}>{deviceLabel(entry.device_id)}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          <div style={{ overflowX: 'auto' }}>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: '3rem repeat(24, minmax(1.25rem, 1fr))',
+              gap: '2px',
+              minWidth: '36rem',
+              fontSize: '0.75rem',
+              color: colors.textSecondary
+            }}>
+              <div />
+              {Array.from({ length: 24 }, (_, hour) => (
+                <div key={hour} style={{ textAlign: 'center' }}>{hour % 3 === 0 ? hour : ''}</div>
+              ))}
+              {matrix.map((cells, day) => [
+                <div key={`label-${day}`} style={{ alignSelf: 'center' }}>{weekdays[day]}</div>,
+                ...cells.map((value, hour) => (
+                  <div
+                    key={`${day}-${hour}`}
+                    title={`${weekdays[day]} ${String(hour).padStart(2, '0')}:00 – ${formatStat(value)}${value === null ? '' : suffix}`}
+                    style={{ height: '1.5rem', borderRadius: '2px', backgroundColor: cellColor(value) }}
+                  />
+                ))
+              ])}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const userStatusColors = {
+  active: colors.good,
+  invited: colors.moderate,
+  disabled: colors.poor
+};
+
+// Invite and reset links carry a one-time token; the server only stores its hash
+const inviteLink = (token) => `${window.location.origin}/invite?token=${encodeURIComponent(token)}`;
+
+// Admin-only account management: invite, change role, disable/enable and
+// reset passwords. Every change is applied server-side immediately.
+function UsersPage({ currentUser }) {
+  const [users, setUsers] = useState([]);
+  const [username, setUsername] = useState('');
+  const [role, setRole] = useState('viewer');
+  // { username, url } of the most recently minted invite or reset link
+  const [link, setLink] = useState(null);
+  const [error, setError] = useState(null);
+
+  const request = async (path, method = 'GET', body) => {
+    const response = await apiFetch(`/admin${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `${response.status}`);
+    }
+    return data;
+  };
+
+  useEffect(() => {
+    request('/users')
+      .then(setUsers)
+      .catch(error => setError('Failed to fetch users: ' + error.message));
+  }, []);
+
+  // Runs one change and swaps the returned row into the list
+  const change = async (path, method, body) => {
+    setError(null);
+    try {
+      const { invite_token: inviteToken, ...user } = await request(path, method, body);
+      setUsers(list => {
+        const others = list.filter(u => u.id !== user.id);
+        return [...others, user].sort((a, b) => a.username.localeCompare(b.username));
+      });
+      if (inviteToken) setLink({ username: user.username, url: inviteLink(inviteToken) });
+      return true;
+    } catch (error) {
+      setError(error.message);
+      return false;
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (await change('/users', 'POST', { username: username.trim(), role })) {
+      setUsername('');
+      setRole('viewer');
+    }
+  };
+
+  const handleReset = (user) => {
+    if (window.confirm(`Reset the password for ${user.username}? They will be signed out until they use the new link.`)) {
+      change(`/users/${user.id}/reset`, 'POST');
+    }
+  };
+
+  const buttonStyle = { ...inputStyle, cursor: 'pointer', marginRight: '0.5rem' };
+
+  return (
+    <div style={{
+      backgroundColor: colors.cardBackground,
+      padding: '1.5rem',
+      borderRadius: '8px',
+      boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+      marginBottom: '2rem'
+    }}>
+      <h2 style={{ color: colors.text, marginBottom: '1rem' }}>Users</h2>
+      {error && <div style={{ color: colors.danger, marginBottom: '1rem' }}>{error}</div>}
+
+      <form onSubmit={handleInvite} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+        <input
+          type="text"
+          placeholder="Username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          style={inputStyle}
+          required
+        />
+        <select value={role} onChange={(e) => setRole(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
+          <option value="viewer">Viewer</option>
+          <option value="admin">Admin</option>
+        </select>
+        <button type="submit" style={{ ...inputStyle, backgroundColor: colors.primary, border: 'none', cursor: 'pointer' }}>
+          Invite
+        </button>
+      </form>
+
+      {link && (
+        <div style={{ border: `1px solid ${colors.primary}`, borderRadius: '4px', padding: '0.75rem', marginBottom: '1rem' }}>
+          <div style={{ color: colors.textSecondary, marginBottom: '0.5rem' }}>
+            Send this link to {link.username}. It is shown only once and lets them set their password:
+          </div>
+          <input
+            type="text"
+            readOnly
+            value={link.url}
+            onFocus={(e) => e.target.select()}
+            style={{ ...inputStyle, width: '100%', boxSizing: 'border-box' }}
+          />
+        </div>
+      )}
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', color: colors.text }}>
+          <thead>
+            <tr style={{ color: colors.textSecondary, textAlign: 'left' }}>
+              {['Username', 'Role', 'Status', 'Last login', ''].map(heading => (
+                <th key={heading} style={{ padding: '0.5rem', borderBottom: `1px solid ${colors.border}` }}>{heading}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(user => {
+              const self = user.id === currentUser?.id;
+              return (
+                <tr key={user.id}>
+                  <td style={{ padding: '0.5rem' }}>{user.username}{self && ' (you)'}</td>
+                  <td style={{ padding: '0.5rem' }}>
+                    <select
+                      value={user.role}
+                      onChange={(e) => change(`/users/${user.id}`, 'PATCH', { role: e.target.value })}
+                      style={{ ...inputStyle, cursor: 'pointer' }}
+                    >
+                      <option value="viewer">Viewer</option>
+                      <option value="admin">Admin</option>
+                    </select>
+                  </td>
+                  <td style={{ padding: '0.5rem', fontWeight: 'bold', color: userStatusColors[user.status] }}>
+                    {user.status}
+                  </td>
+                  <td style={{ padding: '0.5rem', color: colors.textSecondary, whiteSpace: 'nowrap' }}>
+                    {user.last_login_at ? formatTime(user.last_login_at, 48) : 'Never'}
+                  </td>
+                  <td style={{ padding: '0.5rem', whiteSpace: 'nowrap' }}>
+                    {!self && (
+                      <>
+                        <button onClick={() => handleReset(user)} style={buttonStyle}>Reset password</button>
+                        {user.status === 'disabled' ? (
+                          <button onClick={() => change(`/users/${user.id}/enable`, 'POST')} style={buttonStyle}>Enable</button>
+                        ) : (
+                          <button
+                            onClick={() => change(`/users/${user.id}/disable`, 'POST')}
+                            style={{ ...buttonStyle, backgroundColor: colors.danger, border: 'none' }}
+                          >
+                            Disable
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Metrics a share link can include, labelled as on the charts
+const shareableMetrics = chartDefinitions.flatMap(definition => definition.metrics);
+
+const shareExpiryOptions = [
+  { value: '', label: 'Never expires' },
+  { value: '24', label: 'Expires in 1 day' },
+  { value: '168', label: 'Expires in 7 days' },
+  { value: '720', label: 'Expires in 30 days' }
+];
+
+const shareLink = (token) => `${window.location.origin}/share?token=${token}`;
+
+const formatHours = (hours) => rangeOptions.find(option => option.hours === hours)?.label.replace('Last ', '')
+  ?? (hours % 24 === 0 ? `${hours / 24} Days` : `${hours} Hours`);
+
+// Admin-only: read-only links to one room for guests and wall displays
+function ShareLinksPage({ devices }) {
+  const [links, setLinks] = useState([]);
+  const [draft, setDraft] = useState({
+    device_id: '',
+    label: '',
+    metrics: shareableMetrics.map(metric => metric.key),
+    max_hours: 24,
+    expires_in: ''
+  });
+  // { label, url } of the link just created; its token is not shown again
+  const [created, setCreated] = useState(null);
+  const [error, setError] = useState(null);
+
+  const deviceId = draft.device_id || devices[0]?.id || '';
+
+  useEffect(() => {
+    const fetchLinks = async () => {
+      try {
+        const response = await apiFetch('/admin/shares');
+        if (!response.ok) {
+          throw new Error(`${response.status}`);
         }
+        setLinks(await response.json());
       } catch (error) {
-        console.error('Token verification error:', error);
-        localStorage.removeItem('token');
-      } finally {
-        setIsLoading(false);
+        setError('Failed to fetch share links: ' + error.message);
       }
     };
-
-    verifyStoredToken();
+    fetchLinks();
   }, []);
 
-  // Data fetching effect
+  const toggleMetric = (key) => setDraft(current => ({
+    ...current,
+    metrics: current.metrics.includes(key)
+      ? current.metrics.filter(metric => metric !== key)
+      : [...current.metrics, key]
+  }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const response = await apiFetch('/admin/shares', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          device_id: deviceId,
+          ...(draft.label.trim() && { label: draft.label.trim() }),
+          metrics: draft.metrics,
+          max_hours: draft.max_hours,
+          expires_at: draft.expires_in
+            ? new Date(Date.now() + Number(draft.expires_in) * 3600000).toISOString()
+            : null
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `${response.status}`);
+      }
+      const { token, ...link } = data;
+      setLinks(current => [link, ...current]);
+      setCreated({ label: link.label, url: shareLink(token) });
+      setDraft(current => ({ ...current, label: '' }));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm(`Revoke the share link "${link.label}"? Anyone using it loses access.`)) return;
+    setError(null);
+    try {
+      const response = await apiFetch(`/admin/shares/${link.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `${response.status}`);
+      }
+      setLinks(current => current.map(l => (l.id === link.id ? { ...l, revoked_at: data.revoked_at } : l)));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const linkStatus = (link) => {
+    if (link.revoked_at) return { label: 'revoked', color: colors.poor };
+    if (link.expires_at && Date.parse(link.expires_at) <= Date.now()) return { label: 'expired', color: colors.moderate };
+    return { label: 'active', color: colors.good };
+  };
+
+  return (
+    <div style={{
+      backgroundColor: colors.cardBackground,
+      padding: '1.5rem',
+      borderRadius: '8px',
+      boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+      marginBottom: '2rem'
+    }}>
+      <h2 style={{ color: colors.text, marginBottom: '1rem' }}>Share Links</h2>
+      {error && <div style={{ color: colors.danger, marginBottom: '1rem' }}>{error}</div>}
+
+      <form onSubmit={handleCreate} style={{ marginBottom: '1rem' }}>
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '0.5rem' }}>
+          <select
+            value={deviceId}
+            onChange={(e) => setDraft({ ...draft, device_id: e.target.value })}
+            style={{ ...inputStyle, cursor: 'pointer' }}
+          >
+            {devices.map(device => (
+              <option key={device.id} value={device.id}>{device.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Label (defaults to the room)"
+            value={draft.label}
+            onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+            style={inputStyle}
+          />
+          <select
+            value={draft.max_hours}
+            onChange={(e) => setDraft({ ...draft, max_hours: Number(e.target.value) })}
+            style={{ ...inputStyle, cursor: 'pointer' }}
+          >
+            {rangeOptions.map(option => (
+              <option key={option.hours} value={option.hours}>History: {option.label}</option>
+            ))}
+          </select>
+          <select
+            value={draft.expires_in}
+            onChange={(e) => setDraft({ ...draft, expires_in: e.target.value })}
+            style={{ ...inputStyle, cursor: 'pointer' }}
+          >
+            {shareExpiryOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={!deviceId || draft.metrics.length === 0}
+            style={{ ...inputStyle, backgroundColor: colors.primary, border: 'none', cursor: 'pointer' }}
+          >
+            Create link
+          </button>
+        </div>
+        <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', color: colors.textSecondary }}>
+          {shareableMetrics.map(metric => (
+            <label key={metric.key} style={{ cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={draft.metrics.includes(metric.key)}
+                onChange={() => toggleMetric(metric.key)}
+                style={{ marginRight: '0.25rem' }}
+              />
+              {metric.label}
+            </label>
+          ))}
+        </div>
+      </form>
+
+      {created && (
+        <div style={{ border: `1px solid ${colors.primary}`, borderRadius: '4px', padding: '0.75rem', marginBottom: '1rem' }}>
+          <div style={{ color: colors.textSecondary, marginBottom: '0.5rem' }}>
+            Link for {created.label}. It is shown only once; anyone with it can view these readings:
+          </div>
+          <input
+            type="text"
+            readOnly
+            value={created.url}
+            onFocus={(e) => e.target.select()}
+            style={{ ...inputStyle, width: '100%', boxSizing: 'border-box' }}
+          />
+        </div>
+      )}
+
+      {links.length === 0 ? (
+        <p style={{ color: colors.textSecondary }}>No share links yet.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', color: colors.text }}>
+            <thead>
+              <tr style={{ color: colors.textSecondary, textAlign: 'left' }}>
+                {['Label', 'Room', 'Metrics', 'History', 'Expires', 'Last used', 'Status', ''].map(heading => (
+                  <th key={heading} style={{ padding: '0.5rem', borderBottom: `1px solid ${colors.border}` }}>{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {links.map(link => {
+                const status = linkStatus(link);
+                return (
+                  <tr key={link.id}>
+                    <td style={{ padding: '0.5rem' }}>{link.label}</td>
+                    <td style={{ padding: '0.5rem' }}>{link.device_label}</td>
+                    <td style={{ padding: '0.5rem', color: colors.textSecondary }}>
+                      {link.metrics.map(key => shareableMetrics.find(m => m.key === key)?.label ?? key).join(', ')}
+                    </td>
+                    <td style={{ padding: '0.5rem', whiteSpace: 'nowrap' }}>{formatHours(link.max_hours)}</td>
+                    <td style={{ padding: '0.5rem', whiteSpace: 'nowrap' }}>
+                      {link.expires_at ? formatTime(link.expires_at, 48) : 'Never'}
+                    </td>
+                    <td style={{ padding: '0.5rem', color: colors.textSecondary, whiteSpace: 'nowrap' }}>
+                      {link.last_used_at ? formatTime(link.last_used_at, 48) : 'Never'}
+                    </td>
+                    <td style={{ padding: '0.5rem', fontWeight: 'bold', color: status.color }}>{status.label}</td>
+                    <td style={{ padding: '0.5rem' }}>
+                      {status.label === 'active' && (
+                        <button
+                          onClick={() => handleRevoke(link)}
+                          style={{ ...inputStyle, backgroundColor: colors.danger, border: 'none', cursor: 'pointer' }}
+                        >
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const thresholdLabels = {
+  temperature: 'Temperature',
+  humidity: 'Humidity (%)',
+  voc_index: 'VOC Index',
+  pm2_5: 'PM2.5 (µg/m³)',
+  pm10_0: 'PM10 (µg/m³)'
+};
+
+const thresholdLevels = [
+  { level: 'good', label: 'Good', color: colors.good },
+  { level: 'moderate', label: 'Moderate', color: colors.moderate },
+  { level: 'bad', label: 'Concerning', color: colors.bad }
+];
+
+const roundLimit = (value) => Math.round(value * 10) / 10;
+
+// Apply `fn` to every min/max of one metric's levels
+const mapLimits = (levels, fn) => Object.fromEntries(Object.entries(levels).map(([level, limits]) => [
+  level,
+  Object.fromEntries(Object.entries(limits).map(([field, value]) => [field, fn(value)]))
+]));
+
+// Threshold inputs in the display unit, kept as strings while being edited
+const limitInputs = (thresholds, unit) => Object.fromEntries(Object.keys(thresholds).map(key => [
+  key,
+  mapLimits(displayLimits(thresholds, key, unit), value => String(roundLimit(value)))
+]));
+
+// Units, dew point and the limits behind the reading colors and chart lines,
+// stored per user by /api/settings. New alert rules start from these
+// limits and are written in this unit (AlertRulesPage).
+function SettingsPage({ settings, onChange }) {
+  const [unit, setUnit] = useState(settings.temperature_unit);
+  const [showDewPoint, setShowDewPoint] = useState(settings.show_dew_point);
+  const [limits, setLimits] = useState(() => limitInputs(settings.thresholds, settings.temperature_unit));
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start over from whatever was last saved or reset
   useEffect(() => {
-    const fetchData = async () => {
-      if (!token) return;
+    setUnit(settings.temperature_unit);
+    setShowDewPoint(settings.show_dew_point);
+    setLimits(limitInputs(settings.thresholds, settings.temperature_unit));
+  }, [settings]);
 
-      try {
-        const response = await fetch(`${API_URL}/data?hours=${timeRange}`, {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        });
+  // Temperatures typed so far carry over to the new unit
+  const handleUnitChange = (next) => {
+    setLimits(current => ({
+      ...current,
+      temperature: mapLimits(current.temperature, value => value.trim() === '' || Number.isNaN(Number(value))
+        ? value
+        : String(roundLimit(toUnit(fromUnit(Number(value), unit), next))))
+    }));
+    setUnit(next);
+  };
 
-        if (!response.ok) {
-          throw new Error('Failed to fetch data');
+  const setLimit = (key, level, field, value) => setLimits(current => ({
+    ...current,
+    [key]: { ...current[key], [level]: { ...current[key][level], [field]: value } }
+  }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSaved(false);
+
+    const values = Object.values(limits).flatMap(levels => Object.values(levels).flatMap(Object.values));
+    if (values.some(value => value.trim() === '' || Number.isNaN(Number(value)))) {
+      setError('Every limit needs a number.');
+      return;
+    }
+
+    // Only send the metrics that were edited, so the rest keep following the defaults
+    const current = limitInputs(settings.thresholds, unit);
+    const thresholds = Object.fromEntries(Object.entries(limits)
+      .filter(([key, levels]) => JSON.stringify(levels) !== JSON.stringify(current[key]))
+      .map(([key, levels]) => [key, mapLimits(levels, value => key === 'temperature'
+        ? roundLimit(fromUnit(Number(value), unit))
+        : Number(value))]));
+
+    try {
+      const response = await apiFetch('/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          temperature_unit: unit,
+          show_dew_point: showDewPoint,
+          ...(Object.keys(thresholds).length > 0 && { thresholds })
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `${response.status}`);
+      }
+      onChange(data);
+      setSaved(true);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Go back to °F, no dew point and the default limits?')) return;
+    setError(null);
+    setSaved(false);
+    try {
+      const response = await apiFetch('/settings', { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `${response.status}`);
+      }
+      onChange(data);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const cellStyle = { padding: '0.5rem', borderBottom: `1px solid ${colors.border}` };
+  const limitStyle = { ...inputStyle, width: '4.5rem' };
+
+  return (
+    <div style={{
+      backgroundColor: colors.cardBackground,
+      padding: '1.5rem',
+      borderRadius: '8px',
+      boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+      marginBottom: '2rem'
+    }}>
+      <h2 style={{ color: colors.text, marginBottom: '1rem' }}>Settings</h2>
+      {error && <div style={{ color: colors.danger, marginBottom: '1rem' }}>{error}</div>}
+      {saved && <div role="status" style={{ color: colors.good, marginBottom: '1rem' }}>Settings saved.</div>}
+
+      <form onSubmit={handleSave}>
+        <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '1.5rem' }}>
+          <label style={{ color: colors.text }}>
+            Temperature unit{' '}
+            <select value={unit} onChange={(e) => handleUnitChange(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
+              <option value="F">°F</option>
+              <option value="C">°C</option>
+            </select>
+          </label>
+          <label style={{ color: colors.text }}>
+            <input
+              type="checkbox"
+              checked={showDewPoint}
+              onChange={(e) => setShowDewPoint(e.target.checked)}
+              style={{ marginRight: '0.5rem' }}
+            />
+            Show dew point
+          </label>
+        </div>
+
+        <p style={{ color: colors.textSecondary, fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+          Readings inside the good range show green, then yellow and orange; anything outside the
+          concerning range shows red. Charts mark the good and moderate limits with dashed lines.
+        </p>
+        <div style={{ overflowX: 'auto', marginBottom: '1rem' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', color: colors.text }}>
+            <thead>
+              <tr style={{ textAlign: 'left' }}>
+                <th style={{ ...cellStyle, color: colors.textSecondary }}>Metric</th>
+                {thresholdLevels.map(({ level, label, color }) => (
+                  <th key={level} style={{ ...cellStyle, color }}>{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(limits).map(([key, levels]) => (
+                <tr key={key}>
+                  <td style={cellStyle}>
+                    {key === 'temperature' ? `${thresholdLabels[key]} (°${unit})` : thresholdLabels[key]}
+                  </td>
+                  {thresholdLevels.map(({ level }) => (
+                    <td key={level} style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                      {'min' in levels[level] && (
+                        <>
+                          <input
+                            type="text"
+                            inputMode="decimal"
+                            aria-label={`${thresholdLabels[key]} ${level} minimum`}
+                            value={levels[level].min}
+                            onChange={(e) => setLimit(key, level, 'min', e.target.value)}
+                            style={limitStyle}
+                          />
+                          <span style={{ color: colors.textSecondary }}> – </span>
+                        </>
+                      )}
+                      {!('min' in levels[level]) && <span style={{ color: colors.textSecondary }}>up to </span>}
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        aria-label={`${thresholdLabels[key]} ${level} maximum`}
+                        value={levels[level].max}
+                        onChange={(e) => setLimit(key, level, 'max', e.target.value)}
+                        style={limitStyle}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button
+            type="submit"
+            style={{ ...inputStyle, backgroundColor: colors.primary, border: 'none', cursor: 'pointer' }}
+          >
+            Save
+          </button>
+          <button type="button" onClick={handleReset} style={{ ...inputStyle, cursor: 'pointer' }}>
+            Reset to defaults
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+const alertComparisons = ['>', '>=', '<', '<='];
+
+// A new rule starts from the top of the moderate range in the user's settings
+const suggestedThreshold = (settings, metric) => {
+  const limit = settings.thresholds[metric]?.moderate.max;
+  if (limit === undefined) return '';
+  return String(roundLimit(metric === 'temperature' ? toUnit(limit, settings.temperature_unit) : limit));
+};
+
+// Admin-only: the threshold rules the ingress worker checks every reading
+// against. Temperature rules are written in the admin's unit and keep it,
+// so their notifications read the way they were set up.
+function AlertRulesPage({ devices, settings }) {
+  const unit = settings.temperature_unit;
+  const [rules, setRules] = useState([]);
+  const [draft, setDraft] = useState(() => ({
+    name: '',
+    metric: 'pm2_5',
+    comparison: '>',
+    threshold: suggestedThreshold(settings, 'pm2_5'),
+    duration_minutes: 10,
+    device_id: ''
+  }));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      try {
+        const response = await apiFetch('/admin/alerts/rules');
+        if (!response.ok) {
+          throw new Error(`${response.status}`);
+        }
+        setRules(await response.json());
+      } catch (error) {
+        setError('Failed to fetch alert rules: ' + error.message);
+      }
+    };
+    fetchRules();
+  }, []);
+
+  const metricSuffix = (rule) => rule.unit ? `°${rule.unit}` : statsMetrics.find(m => m.key === rule.metric)?.suffix ?? '';
+  const metricLabel = (key) => statsMetrics.find(m => m.key === key)?.label ?? key;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const response = await apiFetch('/admin/alerts/rules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: draft.name.trim(),
+          metric: draft.metric,
+          comparison: draft.comparison,
+          threshold: Number(draft.threshold),
+          ...(draft.metric === 'temperature' && { unit }),
+          duration_minutes: draft.duration_minutes,
+          device_id: draft.device_id || null
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `${response.status}`);
+      }
+      setRules(current => [...current, { firing: 0, ...data }].sort((a, b) => a.name.localeCompare(b.name)));
+      setDraft(current => ({ ...current, name: '' }));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleChange = async (rule, values) => {
+    setError(null);
+    try {
+      const response = await apiFetch(`/admin/alerts/rules/${rule.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `${response.status}`);
+      }
+      // Changing a rule clears its state on the server
+      setRules(current => current.map(r => (r.id === rule.id ? { ...data, firing: 0 } : r)));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the alert rule "${rule.name}"?`)) return;
+    setError(null);
+    try {
+      const response = await apiFetch(`/admin/alerts/rules/${rule.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `${response.status}`);
+      }
+      setRules(current => current.filter(r => r.id !== rule.id));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div style={{
+      backgroundColor: colors.cardBackground,
+      padding: '1.5rem',
+      borderRadius: '8px',
+      boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+      marginBottom: '2rem'
+    }}>
+      <h2 style={{ color: colors.text, marginBottom: '1rem' }}>Alert Rules</h2>
+      {error && <div style={{ color: colors.danger, marginBottom: '1rem' }}>{error}</div>}
+
+      <form onSubmit={handleCreate} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '1rem' }}>
+        <input
+          type="text"
+          placeholder="Name"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          style={inputStyle}
+        />
+        <select
+          value={draft.device_id}
+          onChange={(e) => setDraft({ ...draft, device_id: e.target.value })}
+          style={{ ...inputStyle, cursor: 'pointer' }}
+        >
+          <option value="">All Rooms</option>
+          {devices.map(device => (
+            <option key={device.id} value={device.id}>{device.label}</option>
+          ))}
+        </select>
+        <select
+          value={draft.metric}
+          onChange={(e) => setDraft({ ...draft, metric: e.target.value, threshold: suggestedThreshold(settings, e.target.value) })}
+          style={{ ...inputStyle, cursor: 'pointer' }}
+        >
+          {statsMetrics.map(metric => (
+            <option key={metric.key} value={metric.key}>{metric.label}</option>
+          ))}
+        </select>
+        <select
+          value={draft.comparison}
+          onChange={(e) => setDraft({ ...draft, comparison: e.target.value })}
+          style={{ ...inputStyle, cursor: 'pointer' }}
+        >
+          {alertComparisons.map(comparison => <option key={comparison} value={comparison}>{comparison}</option>)}
+        </select>
+        <input
+          type="text"
+          inputMode="decimal"
+          aria-label="Threshold"
+          value={draft.threshold}
+          onChange={(e) => setDraft({ ...draft, threshold: e.target.value })}
+          style={{ ...inputStyle, width: '5rem' }}
+        />
+        <span style={{ color: colors.textSecondary }}>
+          {draft.metric === 'temperature' ? `°${unit}` : statsMetrics.find(m => m.key === draft.metric)?.suffix} for
+        </span>
+        <input
+          type="number"
+          min="0"
+          max="1440"
+          aria-label="Minutes"
+          value={draft.duration_minutes}
+          onChange={(e) => setDraft({ ...draft, duration_minutes: Number(e.target.value) })}
+          style={{ ...inputStyle, width: '4.5rem' }}
+        />
+        <span style={{ color: colors.textSecondary }}>min</span>
+        <button
+          type="submit"
+          disabled={!draft.name.trim() || draft.threshold.trim() === '' || Number.isNaN(Number(draft.threshold))}
+          style={{ ...inputStyle, backgroundColor: colors.primary, border: 'none', cursor: 'pointer' }}
+        >
+          Add rule
+        </button>
+      </form>
+
+      {rules.length === 0 ? (
+        <p style={{ color: colors.textSecondary }}>No alert rules yet.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', color: colors.text }}>
+            <thead>
+              <tr style={{ color: colors.textSecondary, textAlign: 'left' }}>
+                {['Name', 'Room', 'Condition', 'Status', ''].map(heading => (
+                  <th key={heading} style={{ padding: '0.5rem', borderBottom: `1px solid ${colors.border}` }}>{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule.id}>
+                  <td style={{ padding: '0.5rem' }}>{rule.name}</td>
+                  <td style={{ padding: '0.5rem' }}>
+                    {rule.device_id ? devices.find(d => d.id === rule.device_id)?.label ?? rule.device_id : 'All Rooms'}
+                  </td>
+                  <td style={{ padding: '0.5rem', color: colors.textSecondary }}>
+                    {metricLabel(rule.metric)} {rule.comparison} {rule.threshold}{metricSuffix(rule)}
+                    {rule.duration_minutes > 0 && ` for ${rule.duration_minutes} min`}
+                  </td>
+                  <td style={{
+                    padding: '0.5rem',
+                    fontWeight: 'bold',
+                    color: !rule.enabled ? colors.textSecondary : rule.firing > 0 ? colors.poor : colors.good
+                  }}>
+                    {!rule.enabled ? 'disabled' : rule.firing > 0 ? `firing (${rule.firing})` : 'ok'}
+                  </td>
+                  <td style={{ padding: '0.5rem', whiteSpace: 'nowrap' }}>
+                    <button
+                      onClick={() => handleChange(rule, { enabled: !rule.enabled })}
+                      style={{ ...inputStyle, cursor: 'pointer', marginRight: '0.5rem' }}
+                    >
+                      {rule.enabled ? 'Disable' : 'Enable'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(rule)}
+                      style={{ ...inputStyle, backgroundColor: colors.danger, border: 'none', cursor: 'pointer' }}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Landing page for invite and reset links: choose a password, then sign in
+function AcceptInvite({ inviteToken, onAccepted }) {
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password.length < 8) {
+      setError('Use at least 8 characters.');
+      return;
+    }
+    if (password !== confirm) {
+      setError('The passwords do not match.');
+      return;
+    }
+
+    setError(null);
+    setIsSaving(true);
+    try {
+      const response = await fetch(`${API_URL}/invite/accept`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: inviteToken, password: await sha256(password) })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `${response.status}`);
+      }
+      onAccepted(data);
+    } catch (error) {
+      setError(error.message);
+      setIsSaving(false);
+    }
+  };
+
+  const fieldStyle = { ...inputStyle, width: '100%', boxSizing: 'border-box' };
+
+  return (
+    <div style={{
+      backgroundColor: colors.cardBackground,
+      padding: '2rem',
+      borderRadius: '8px',
+      boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+      maxWidth: '400px',
+      margin: '0 auto'
+    }}>
+      <h1 style={{ marginBottom: '1.5rem', color: colors.text }}>Set your password</h1>
+      {error && <div style={{ color: colors.danger, marginBottom: '1rem' }}>{error}</div>}
+      <form onSubmit={handleSubmit}>
+        <div style={{ marginBottom: '1rem' }}>
+          <label htmlFor="new-password" style={{ display: 'block', marginBottom: '0.5rem', color: colors.text }}>New password</label>
+          <input
+            type="password"
+            id="new-password"
+            autoComplete="new-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            style={fieldStyle}
+            disabled={isSaving}
+          />
+        </div>
+        <div style={{ marginBottom: '1rem' }}>
+          <label htmlFor="confirm-password" style={{ display: 'block', marginBottom: '0.5rem', color: colors.text }}>Confirm password</label>
+          <input
+            type="password"
+            id="confirm-password"
+            autoComplete="new-password"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            style={fieldStyle}
+            disabled={isSaving}
+          />
+        </div>
+        <button
+          type="submit"
+          style={{
+            width: '100%',
+            padding: '0.75rem',
+            backgroundColor: colors.primary,
+            color: colors.text,
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+          disabled={isSaving}
+        >
+          {isSaving ? 'Saving...' : 'Set password and sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// `limits` are one metric's thresholds in the chart's unit, drawn as dashed lines
+function ChartCard({ title, axisTitle, suffix, datasets, xScale, tooltipTitle, zoom, limits }) {
+  return (
+    <div style={{ 
+      background: colors.cardBackground, 
+      padding: '1rem', 
+      borderRadius: '8px',
+      boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
+    }}>
+      <h3 style={{ marginBottom: '0.5rem', fontSize: '1rem', color: colors.text }}>{title}</h3>
+      <div style={{ height: '200px' }}>
+        <Line
+          data={{ datasets }}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+              legend: {
+                display: datasets.length > 1,
+                labels: { color: colors.chartText }
+              },
+              tooltip: {
+                callbacks: {
+                  ...(tooltipTitle && { title: tooltipTitle }),
+                  label: (context) => {
+                    const { min, max } = context.raw;
+                    const range = min !== undefined && min !== max
+                      ? ` (${min.toFixed(1)}–${max.toFixed(1)})`
+                      : '';
+                    return `${context.dataset.label}: ${context.parsed.y.toFixed(1)}${suffix}${range}`;
+                  }
+                }
+              },
+              ...(zoom && { zoom }),
+              thresholdLines: { limits }
+            },
+            scales: {
+              y: {
+                beginAtZero: false,
+                grid: {
+                  color: colors.chartGrid
+                },
+                ticks: {
+                  color: colors.chartText
+                },
+                title: {
+                  display: true,
+                  text: axisTitle,
+                  color: colors.chartText
+                }
+              },
+              x: {
+                grid: {
+                  color: colors.chartGrid
+                },
+                ticks: {
+                  color: colors.chartText
+                },
+                ...xScale
+              }
+            }
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
+// `metrics` limits the tiles to what a share link includes (default: all).
+// Colors compare the stored °F reading with thresholds kept in °F.
+function CurrentReadings({ reading, aqi, metrics, showAqi = true, settings = defaultSettings }) {
+  const shows = (key) => !metrics || metrics.includes(key);
+  const unit = settings.temperature_unit;
+  const dew = settings.show_dew_point && shows('temperature') && shows('humidity')
+    ? dewPoint(reading.temperature, reading.humidity)
+    : null;
+  return (
+    <div style={{ 
+      display: 'grid', 
+      gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+      gap: '1rem'
+    }}>
+      {shows('temperature') && (
+        <div>
+          <h3 style={{ color: colors.textSecondary, marginBottom: '0.5rem' }}>Temperature</h3>
+          <p style={{ 
+            fontSize: '1.5rem', 
+            color: getReadingColor('temperature', reading.temperature, settings.thresholds),
+            fontWeight: 'bold'
+          }}>
+            {toUnit(reading.temperature, unit).toFixed(1)}°{unit}
+          </p>
+        </div>
+      )}
+      {dew !== null && (
+        <div>
+          <h3 style={{ color: colors.textSecondary, marginBottom: '0.5rem' }}>Dew Point</h3>
+          <p style={{ fontSize: '1.5rem', color: colors.text, fontWeight: 'bold' }}>
+            {toUnit(dew, unit).toFixed(1)}°{unit}
+          </p>
+        </div>
+      )}
+      {shows('humidity') && (
+        <div>
+          <h3 style={{ color: colors.textSecondary, marginBottom: '0.5rem' }}>Humidity</h3>
+          <p style={{ 
+            fontSize: '1.5rem', 
+            color: getReadingColor('humidity', reading.humidity, settings.thresholds),
+            fontWeight: 'bold'
+          }}>
+            {reading.humidity.toFixed(1)}%
+          </p>
+        </div>
+      )}
+      {shows('voc_index') && (
+        <div>
+          <h3 style={{ color: colors.textSecondary, marginBottom: '0.5rem' }}>VOC Index</h3>
+          <p style={{ 
+            fontSize: '1.5rem', 
+            color: getReadingColor('voc_index', reading.voc_index, settings.thresholds),
+            fontWeight: 'bold'
+          }}>
+            {reading.voc_index.toFixed(1)}
+          </p>
+        </div>
+      )}
+      {showAqi && (
+        <div>
+          <h3 style={{ color: colors.textSecondary, marginBottom: '0.5rem' }}>Air Quality Index</h3>
+          {aqi?.aqi != null ? (
+            <>
+              <p style={{ 
+                fontSize: '1.5rem', 
+                color: aqiColors[aqi.category],
+                fontWeight: 'bold'
+              }}>
+                {aqi.aqi} <span style={{ fontSize: '1rem' }}>{aqi.category}</span>
+              </p>
+              <p style={{ color: colors.textSecondary, fontSize: '0.85rem' }}>
+                {aqi.pm2_5
+                  ? `NowCast PM2.5 ${aqi.pm2_5.nowcast?.toFixed(1) ?? '–'} µg/m³`
+                  : `NowCast PM10 ${aqi.pm10_0?.nowcast?.toFixed(1) ?? '–'} µg/m³`}
+              </p>
+            </>
+          ) : (
+            <p style={{ color: colors.textSecondary }}>Needs two hours of data</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Public read-only view of a share link (/share?token=...): one room, only the
+// metrics and history window the link allows, and no login
+function SharedDashboard({ shareToken }) {
+  const [scope, setScope] = useState(null);
+  const [hours, setHours] = useState(24);
+  const [history, setHistory] = useState([]);
+  const [latest, setLatest] = useState([]);
+  const [aqi, setAqi] = useState([]);
+  const [loadedRange, setLoadedRange] = useState(null);
+  const [error, setError] = useState(null);
+
+  const shareUrl = `${API_URL}/share/${encodeURIComponent(shareToken)}`;
+
+  useEffect(() => {
+    const fetchScope = async () => {
+      try {
+        const response = await fetch(shareUrl);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || `${response.status}`);
+        }
+        setScope(data);
+        setHours(current => Math.min(current, data.max_hours));
+      } catch (error) {
+        setError(error.message);
+      }
+    };
+    fetchScope();
+  }, [shareUrl]);
+
+  useEffect(() => {
+    if (!scope) return;
+    const withAqi = scope.metrics.includes('pm2_5') || scope.metrics.includes('pm10_0');
+
+    const fetchData = async () => {
+      try {
+        const [dataResponse, latestResponse, aqiResponse] = await Promise.all([
+          fetch(`${shareUrl}/data?hours=${hours}&resolution=auto`),
+          fetch(`${shareUrl}/latest`),
+          withAqi ? fetch(`${shareUrl}/aqi`) : null
+        ]);
+        const failed = [dataResponse, latestResponse, aqiResponse].find(response => response && !response.ok);
+        if (failed) {
+          const { error: message } = await failed.json().catch(() => ({}));
+          throw new Error(message || `${failed.status}`);
+        }
+
+        setHistory(await dataResponse.json());
+        setLoadedRange({ from: Date.now() - hours * 3600000, to: Date.now() });
+        setLatest(await latestResponse.json());
+        setAqi(aqiResponse ? await aqiResponse.json() : []);
+        setError(null);
+      } catch (error) {
+        console.error('Error fetching shared data:', error);
+        setError(error.message);
+      }
+    };
+
+    fetchData();
+    const intervalId = setInterval(fetchData, 300000);
+    return () => clearInterval(intervalId);
+  }, [shareUrl, scope, hours]);
+
+  if (!scope) {
+    return (
+      <div style={{ padding: '2rem', color: error ? colors.danger : colors.text }}>
+        {error || 'Loading...'}
+      </div>
+    );
+  }
+
+  const devices = [{ id: scope.device_id, label: scope.device_label }];
+  const groups = groupByDevice(history, devices);
+  const reading = latest[latest.length - 1];
+  const definitions = chartDefinitions
+    .map(definition => ({ ...definition, metrics: definition.metrics.filter(m => scope.metrics.includes(m.key)) }))
+    .filter(definition => definition.metrics.length > 0);
+  const options = rangeOptions.filter(option => option.hours <= scope.max_hours);
+
+  const timeScale = {
+    type: 'linear',
+    min: loadedRange?.from,
+    max: loadedRange?.to,
+    ticks: {
+      color: colors.chartText,
+      maxTicksLimit: 8,
+      callback: (value) => formatTime(value, hours)
+    }
+  };
+
+  return (
+    <div style={{
+      padding: '2rem',
+      maxWidth: '100%',
+      backgroundColor: colors.background,
+      minHeight: '100vh',
+      color: colors.text
+    }}>
+      <h1 style={{ color: colors.text, marginBottom: '1rem' }}>{scope.label}</h1>
+      {error && <div style={{ color: colors.danger, marginBottom: '1rem' }}>{error}</div>}
+
+      <div style={{
+        backgroundColor: colors.cardBackground,
+        padding: '1.5rem',
+        borderRadius: '8px',
+        boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+        marginBottom: '2rem'
+      }}>
+        <h2 style={{ marginBottom: '1rem', color: colors.text }}>Current Readings</h2>
+        {reading ? (
+          <>
+            <CurrentReadings
+              reading={reading}
+              aqi={aqi.find(entry => entry.device_id === scope.device_id)}
+              metrics={scope.metrics}
+              showAqi={scope.metrics.includes('pm2_5') || scope.metrics.includes('pm10_0')}
+            />
+            <p style={{ color: colors.textSecondary, fontSize: '0.85rem', marginTop: '1rem' }}>
+              Updated {new Date(reading.timestamp).toLocaleString()}
+            </p>
+          </>
+        ) : (
+          <p style={{ color: colors.textSecondary }}>No readings received yet.</p>
+        )}
+      </div>
+
+      <div style={{
+        backgroundColor: colors.cardBackground,
+        padding: '1.5rem',
+        borderRadius: '8px',
+        boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+          <h2 style={{ color: colors.text }}>Historical Data</h2>
+          {options.length > 1 && (
+            <select
+              value={hours}
+              onChange={(e) => setHours(Number(e.target.value))}
+              style={{ ...inputStyle, cursor: 'pointer' }}
+            >
+              {options.map(option => (
+                <option key={option.hours} value={option.hours}>{option.label}</option>
+              ))}
+            </select>
+          )}
+        </div>
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+          gap: '1rem'
+        }}>
+          {definitions.map(definition => (
+            <ChartCard
+              key={definition.title}
+              title={definition.title}
+              axisTitle={definition.axisTitle}
+              suffix={definition.suffix}
+              datasets={buildDatasets(groups, definition, row => new Date(row.timestamp).getTime())}
+              xScale={timeScale}
+              tooltipTitle={(items) => items.length ? formatTime(items[0].parsed.x, 0) : ''}
+              limits={definition.metrics.some(m => m.key === definition.limitKey)
+                ? defaultSettings.thresholds[definition.limitKey]
+                : undefined}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Add SHA-256 hashing function
+async function sha256(message) {
+  const msgBuffer = new TextEncoder().encode(message);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
+  const hashArray = Array.from(new Uint8Array(hashBuffer));
+  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  return hashHex;
+}
+
+// The access token lives only in memory and expires after 15 minutes. The
+// refresh token is an HttpOnly cookie the server rotates on every refresh.
+let accessToken = null;
+let pendingRefresh = null;
+let onSessionExpired = () => {};
+
+// Trade the refresh cookie for a new access token. Concurrent callers share
+// one request, since each refresh invalidates the cookie it was sent with.
+const refreshSession = () => {
+  pendingRefresh ??= fetch(`${API_URL}/refresh`, { method: 'POST' })
+    .then(async response => {
+      if (!response.ok) return null;
+      const session = await response.json();
+      accessToken = session.token;
+      return session;
+    })
+    .catch(() => null)
+    .finally(() => { pendingRefresh = null; });
+  return pendingRefresh;
+};
+
+// fetch() against the API with the access token; on 401 it refreshes once
+// and retries, or ends the session when the refresh is refused too
+async function apiFetch(path, options = {}) {
+  const send = () => fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: { ...options.headers, ...(accessToken && { 'Authorization': `Bearer ${accessToken}` }) }
+  });
+
+  const sentWith = accessToken;
+  const response = await send();
+  if (response.status !== 401 || !sentWith) return response;
+
+  // Another request may have refreshed while this one was in flight
+  if (accessToken !== sentWith || await refreshSession()) return send();
+  accessToken = null;
+  onSessionExpired();
+  return response;
+}
+
+// Minimal text/event-stream reader for fetch() bodies; EventSource cannot
+// send the Authorization header. Resolves when the server ends the stream.
+async function readEvents(body, onEvent) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value.replace(/\r\n/g, '\n');
+
+    let end;
+    while ((end = buffer.indexOf('\n\n')) >= 0) {
+      const lines = buffer.slice(0, end).split('\n');
+      buffer = buffer.slice(end + 2);
+
+      let event = 'message';
+      const data = [];
+      lines.forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+      if (data.length) onEvent(event, data.join('\n'));
+    }
+  }
+}
+
+function App() {
+  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [view, setView] = useState('dashboard');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  // Epoch ms until which the server refuses sign-ins from this client
+  const [loginRetryAt, setLoginRetryAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [sensorData, setSensorData] = useState([]);
+  const [latestReadings, setLatestReadings] = useState([]);
+  const [dailyAverages, setDailyAverages] = useState([]);
+  const [averagePeriod, setAveragePeriod] = useState('day');
+  const [alertEvents, setAlertEvents] = useState([]);
+  // The signed-in user's units and thresholds (/api/settings)
+  const [settings, setSettings] = useState(defaultSettings);
+  const [aqiReadings, setAqiReadings] = useState([]);
+  const [deviceStatus, setDeviceStatus] = useState([]);
+  const [timeRange, setTimeRange] = useState(24);
+  // { from, to } as ISO strings while viewing a custom window, else null
+  const [customRange, setCustomRange] = useState(null);
+  const [draftRange, setDraftRange] = useState(null);
+  // The window the charts currently show, in epoch ms
+  const [loadedRange, setLoadedRange] = useState(null);
+  const zoomTimer = useRef(null);
+  // True while /api/stream is connected; polling speeds up when it is not
+  const [streamLive, setStreamLive] = useState(false);
+  // Read by the live stream without reconnecting on every range change
+  const liveView = useRef({});
+  // X-Cursor of the last /data response and the query it answered
+  const dataCursor = useRef(null);
+  const [devices, setDevices] = useState([]);
+  const [selectedDevice, setSelectedDevice] = useState('all');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Share links (/share?token=...) open a public read-only view instead.
+  // A query rather than a path segment keeps the relative asset URLs valid.
+  const shareToken = window.location.pathname === '/share'
+    ? new URLSearchParams(window.location.search).get('token')
+    : null;
+  // Set while on an /invite?token=... link
+  const [inviteToken, setInviteToken] = useState(() =>
+    window.location.pathname === '/invite' ? new URLSearchParams(window.location.search).get('token') : null
+  );
+
+  // Resume the session from the refresh cookie, if there is one
+  useEffect(() => {
+    if (shareToken) return;
+
+    // Long-lived tokens used to be kept here; they are no longer accepted
+    localStorage.removeItem('token');
+
+    onSessionExpired = () => {
+      setCurrentUser(null);
+      setView('dashboard');
+      setIsAuthenticated(false);
+      setError('Your session has expired. Please log in again.');
+    };
+
+    refreshSession().then(session => {
+      if (session) {
+        setCurrentUser(session.user);
+        setIsAuthenticated(true);
+      }
+      setIsLoading(false);
+    });
+  }, [shareToken]);
+
+  // Device list effect
+  useEffect(() => {
+    const fetchDevices = async () => {
+      try {
+        const response = await apiFetch('/devices');
+
+        if (!response.ok) {
+          throw new Error('Failed to fetch devices');
+        }
+
+        setDevices(await response.json());
+      } catch (error) {
+        console.error('Error fetching devices:', error);
+        setError('Failed to fetch devices: ' + error.message);
+      }
+    };
+
+    if (isAuthenticated) {
+      fetchDevices();
+    }
+  }, [isAuthenticated]);
+
+  // Settings effect; the defaults stay in place if this fails
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await apiFetch('/settings');
+
+        if (!response.ok) {
+          throw new Error(`${response.status}`);
+        }
+
+        setSettings(await response.json());
+      } catch (error) {
+        console.error('Error fetching settings:', error);
+      }
+    };
+
+    if (isAuthenticated) {
+      fetchSettings();
+    }
+  }, [isAuthenticated]);
+
+  // Empty for "all rooms", otherwise restricts API calls to the selected room
+  const deviceQuery = selectedDevice === 'all' ? '' : `device=${encodeURIComponent(selectedDevice)}`;
+
+  const rangeQuery = customRange
+    ? `from=${encodeURIComponent(customRange.from)}&to=${encodeURIComponent(customRange.to)}`
+    : `hours=${timeRange}`;
+
+  // Data fetching effect
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        // The server averages long ranges into buckets; current readings stay raw.
+        // Refreshes of the same view only ask for what changed since the last one.
+        const dataQuery = `${rangeQuery}&resolution=auto${deviceQuery && `&${deviceQuery}`}`;
+        const since = dataCursor.current?.query === dataQuery ? dataCursor.current.cursor : null;
+        const [response, latestResponse, alertsResponse, aqiResponse] = await Promise.all([
+          apiFetch(`/data?${dataQuery}${since !== null ? `&since=${since}` : ''}`),
+          apiFetch(`/latest${deviceQuery && `?${deviceQuery}`}`),
+          apiFetch(`/alerts?limit=20${deviceQuery && `&${deviceQuery}`}`),
+          apiFetch(`/aqi${deviceQuery && `?${deviceQuery}`}`)
+        ]);
+
+        if (!response.ok || !latestResponse.ok || !alertsResponse.ok || !aqiResponse.ok) {
+          throw new Error('Failed to fetch data');
+        }
+
+        const data = await response.json();
+        console.log('Received data:', data);
+        const range = customRange
+          ? { from: Date.parse(customRange.from), to: Date.parse(customRange.to) }
+          : { from: Date.now() - timeRange * 3600000, to: Date.now() };
+        if (since === null) {
+          setSensorData(data);
+        } else {
+          // Changed buckets replace everything from X-Changed-From onwards
+          const changedFrom = response.headers.get('X-Changed-From');
+          const windowStart = new Date(range.from).toISOString();
+          setSensorData(current => [
+            ...current.filter(row => row.timestamp >= windowStart && (!changedFrom || row.timestamp < changedFrom)),
+            ...data
+          ]);
+        }
+        dataCursor.current = {
+          query: dataQuery,
+          cursor: response.headers.get('X-Cursor'),
+          resolution: response.headers.get('X-Resolution')
+        };
+        setLoadedRange(range);
+        setLatestReadings(await latestResponse.json());
+        setAlertEvents(await alertsResponse.json());
+        setAqiReadings(await aqiResponse.json());
+      } catch (error) {
+        console.error('Error fetching data:', error);
+        setError('Failed to fetch data: ' + error.message);
+      }
+    };
+
+    if (isAuthenticated) {
+      fetchData();
+
+      // New readings arrive over the live stream; polling still refreshes
+      // alerts, AQI and buckets every 5 minutes, or every minute while the
+      // stream is down. Toggling streamLive refetches, which also catches
+      // up on anything missed while disconnected.
+      const intervalId = setInterval(fetchData, streamLive ? 300000 : 60000);
+      
+      // Cleanup interval on component unmount
+      return () => clearInterval(intervalId);
+    }
+  }, [isAuthenticated, timeRange, customRange, rangeQuery, deviceQuery, streamLive]);
+
+  liveView.current = { follow: !customRange, hours: timeRange };
+
+  // Live readings over Server-Sent Events, reconnecting with backoff
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const controller = new AbortController();
+    let retryTimer;
+    let failures = 0;
+
+    const appendReadings = (rows) => {
+      setLatestReadings(current => {
+        const byDevice = new Map(current.map(row => [row.device_id, row]));
+        rows.forEach(row => {
+          const previous = byDevice.get(row.device_id);
+          if (!previous || row.timestamp > previous.timestamp) byDevice.set(row.device_id, row);
+        });
+        return [...byDevice.values()];
+      });
+
+      // A custom range is a fixed window, so only a "last N hours" view moves.
+      // Raw rows can't be mixed into averaged buckets; the poll refreshes those.
+      const { follow, hours } = liveView.current;
+      if (!follow || dataCursor.current?.resolution !== 'raw') return;
+      const to = Date.now();
+      const from = to - hours * 3600000;
+      setSensorData(current => [...current.filter(row => Date.parse(row.timestamp) >= from), ...rows]);
+      setLoadedRange({ from, to });
+    };
+
+    const connect = async () => {
+      try {
+        const response = await apiFetch(`/stream${deviceQuery && `?${deviceQuery}`}`, {
+          headers: { 'Accept': 'text/event-stream' },
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          throw new Error(`${response.status}`);
+        }
+        failures = 0;
+        setStreamLive(true);
+        await readEvents(response.body, (event, data) => {
+          if (event === 'readings') appendReadings(JSON.parse(data));
+        });
+        // The server closes the stream when the access token expires
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Live stream error:', error);
+        failures += 1;
+      }
+      setStreamLive(false);
+      retryTimer = setTimeout(connect, Math.min(1000 * 2 ** failures, 60000));
+    };
+
+    connect();
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+      setStreamLive(false);
+    };
+  }, [isAuthenticated, deviceQuery]);
+
+  // Device status is cheap, so it is polled more often than the readings
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await apiFetch(`/status${deviceQuery && `?${deviceQuery}`}`);
+        if (!response.ok) {
+          throw new Error(`Failed to fetch device status: ${response.status}`);
         }
-
         const data = await response.json();
-        console.log('Received data:', data);
-        setSensorData(data);
+        setDeviceStatus(data.devices);
       } catch (error) {
-        console.error('Error fetching data:', error);
-        setError('Failed to fetch data: ' + error.message);
+        console.error('Error fetching device status:', error);
       }
     };
 
-    if (token) {
-      fetchData();
-      
-      // Set up auto-refresh every 5 minutes (300000 ms)
-      const intervalId = setInterval(fetchData, 300000);
-      
-      // Cleanup interval on component unmount
+    if (isAuthenticated) {
+      fetchStatus();
+      const intervalId = setInterval(fetchStatus, 60000);
       return () => clearInterval(intervalId);
     }
-  }, [token, timeRange]);
+  }, [isAuthenticated, deviceQuery]);
 
   useEffect(() => {
     const fetchDailyAverages = async () => {
-      if (!token) {
-        console.log('No token available for daily averages request');
-        return;
-      }
-      
       console.log('Starting daily averages fetch...');
       try {
-        const response = await fetch(`${API_URL}/daily-averages`, {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          mode: 'cors'
+        const { period, days } = averageOptions.find(option => option.period === averagePeriod);
+        const query = `period=${period}&days=${days}&tz=${encodeURIComponent(browserTimeZone)}`;
+        const response = await apiFetch(`/daily-averages?${query}${deviceQuery && `&${deviceQuery}`}`, {
+          headers: { 'Accept': 'application/json' }
         });
         
         console.log('Daily averages response status:', response.status);
@@ -212,11 +2251,23 @@ function App() {
       }
     };
 
-    if (isAuthenticated && token) {
+    if (isAuthenticated) {
       console.log('Triggering daily averages fetch...');
       fetchDailyAverages();
     }
-  }, [isAuthenticated, token]);
+  }, [isAuthenticated, deviceQuery, averagePeriod]);
+
+  // Counts down the sign-in lockout once a second
+  useEffect(() => {
+    if (!loginRetryAt) return;
+    const intervalId = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= loginRetryAt) setLoginRetryAt(null);
+    }, 1000);
+    return () => clearInterval(intervalId);
+  }, [loginRetryAt]);
+
+  const loginWait = loginRetryAt ? Math.max(0, Math.ceil((loginRetryAt - now) / 1000)) : 0;
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -226,29 +2277,29 @@ function App() {
     try {
       // Hash the password before sending
       const hashedPassword = await sha256(password);
-      console.log('Sending hashed password:', hashedPassword);
-      
+
       const response = await fetch(`${API_URL}/login`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ password: hashedPassword }),
+        body: JSON.stringify({ username: username.trim(), password: hashedPassword }),
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Invalid password');
+        const errorData = await response.json().catch(() => ({}));
+        // Sent with 429 while locked out, and with the failure that starts a lockout
+        const retryAfter = Number(response.headers.get('Retry-After'));
+        if (retryAfter > 0) {
+          setNow(Date.now());
+          setLoginRetryAt(Date.now() + retryAfter * 1000);
+        }
+        throw new Error(response.status === 429
+          ? 'Too many failed sign-ins.'
+          : errorData.error || 'Invalid username or password');
       }
 
-      const data = await response.json();
-      const newToken = data.token;
-      
-      // Save token to localStorage
-      localStorage.setItem('token', newToken);
-      
-      setToken(newToken);
-      setIsAuthenticated(true);
+      signIn(await response.json());
       setPassword('');
     } catch (error) {
       console.error('Login error:', error);
@@ -258,119 +2309,160 @@ function App() {
     }
   };
 
-  const handleLogout = () => {
-    // Clear token from localStorage
-    localStorage.removeItem('token');
-    setToken('');
+  // Shared by the login form and invite acceptance
+  const signIn = ({ token: newToken, user }) => {
+    accessToken = newToken;
+    setCurrentUser(user);
+    setIsAuthenticated(true);
+  };
+
+  const signOut = () => {
+    accessToken = null;
+    setCurrentUser(null);
+    setSettings(defaultSettings);
+    setView('dashboard');
     setIsAuthenticated(false);
   };
 
+  // Revokes this browser's session on the server, not just the local token
+  const handleLogout = async () => {
+    try {
+      await fetch(`${API_URL}/logout`, { method: 'POST' });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    signOut();
+  };
+
+  // Ends every session of this account, e.g. after losing a device
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Sign out of every browser and device, including this one?')) return;
+    try {
+      const response = await apiFetch('/sessions', { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(`${response.status}`);
+      }
+      signOut();
+    } catch (error) {
+      console.error('Error signing out all sessions:', error);
+      setError('Failed to sign out all sessions: ' + error.message);
+    }
+  };
+
+  const handleInviteAccepted = (session) => {
+    window.history.replaceState(null, '', '/');
+    setInviteToken(null);
+    signIn(session);
+  };
+
   // Sort data by timestamp
   const sortedData = [...sensorData].sort((a, b) => 
     new Date(a.timestamp) - new Date(b.timestamp)
   );
 
-  const createChartData = (label, data, color) => ({
-    labels: sortedData.map(item => {
-      const date = new Date(item.timestamp);
-      return date.toLocaleTimeString();
-    }),
-    datasets: [
-      {
-        label: label,
-        data: data,
-        borderColor: color,
-        backgroundColor: color.replace('rgb', 'rgba').replace(')', ', 0.2)'),
-        tension: 0.1,
-        fill: true,
-      },
-    ],
-  });
+  // Charts show the user's units; current readings convert their own
+  const definitions = chartDefinitionsFor(settings);
+  const chartLimits = (definition) => displayLimits(settings.thresholds, definition.limitKey, settings.temperature_unit);
+  const deviceGroups = groupByDevice(displayRows(sortedData, settings), devices);
+  const latestGroups = groupByDevice(latestReadings, devices);
+  const dailyGroups = groupByDevice(displayRows(dailyAverages, settings), devices);
 
-  const temperatureData = createChartData(
-    'Temperature (°F)',
-    sortedData.map(item => item.temperature),
-    'rgb(255, 99, 132)'
-  );
+  // Daily rows from different rooms share one date axis
+  const dailyLabels = [...new Set(dailyAverages.map(d => d.date))].sort();
 
-  const humidityData = createChartData(
-    'Humidity (%)',
-    sortedData.map(item => item.humidity),
-    'rgb(54, 162, 235)'
-  );
+  const spanHours = loadedRange ? (loadedRange.to - loadedRange.from) / 3600000 : timeRange;
+  const timeScale = {
+    type: 'linear',
+    min: loadedRange?.from,
+    max: loadedRange?.to,
+    ticks: {
+      color: colors.chartText,
+      maxTicksLimit: 8,
+      callback: (value) => formatTime(value, spanHours)
+    }
+  };
+  const timeTooltipTitle = (items) => items.length ? formatTime(items[0].parsed.x, 0) : '';
 
-  const vocData = createChartData(
-    'VOC Index',
-    sortedData.map(item => item.voc_index),
-    'rgb(75, 192, 192)'
-  );
+  const applyRange = (from, to) => {
+    const range = { from: new Date(from).toISOString(), to: new Date(to).toISOString() };
+    setCustomRange(range);
+    setDraftRange({ from: toLocalInput(from), to: toLocalInput(to) });
+  };
 
-  const pmData = {
-    labels: sortedData.map(item => {
-      const date = new Date(item.timestamp);
-      return date.toLocaleTimeString();
-    }),
-    datasets: [
-      {
-        label: 'PM1.0',
-        data: sortedData.map(item => item.pm1_0),
-        borderColor: 'rgb(255, 159, 64)',
-        backgroundColor: 'rgba(255, 159, 64, 0.2)',
-        tension: 0.1,
-        fill: true,
-      },
-      {
-        label: 'PM2.5',
-        data: sortedData.map(item => item.pm2_5),
-        borderColor: 'rgb(153, 102, 255)',
-        backgroundColor: 'rgba(153, 102, 255, 0.2)',
-        tension: 0.1,
-        fill: true,
-      },
-      {
-        label: 'PM10',
-        data: sortedData.map(item => item.pm10_0),
-        borderColor: 'rgb(201, 203, 207)',
-        backgroundColor: 'rgba(201, 203, 207, 0.2)',
-        tension: 0.1,
-        fill: true,
-      }
-    ]
+  // Zooming or panning any chart re-queries that window for every chart.
+  // Wheel zoom fires per step, so wait for the gesture to settle.
+  const handleChartRange = ({ chart }) => {
+    clearTimeout(zoomTimer.current);
+    const { min, max } = chart.scales.x;
+    zoomTimer.current = setTimeout(() => applyRange(min, max), 400);
   };
 
-  const chartOptions = {
-    responsive: true,
-    maintainAspectRatio: false,
-    plugins: {
-      legend: {
-        position: 'top',
-      },
-      tooltip: {
-        callbacks: {
-          label: function(context) {
-            const value = context.raw;
-            return `${context.dataset.label}: ${value}`;
-          }
-        }
-      }
-    },
-    scales: {
-      y: {
-        beginAtZero: true,
-        title: {
-          display: true,
-          text: 'Value'
-        }
-      },
-      x: {
-        title: {
-          display: true,
-          text: 'Time'
-        }
+  const chartZoom = {
+    pan: { enabled: true, mode: 'x', modifierKey: 'shift', onPanComplete: handleChartRange },
+    zoom: {
+      mode: 'x',
+      drag: { enabled: true, backgroundColor: 'rgba(76, 175, 80, 0.2)' },
+      wheel: { enabled: true, modifierKey: 'ctrl' },
+      pinch: { enabled: true },
+      onZoomComplete: handleChartRange
+    }
+  };
+
+  const handleRangeSelect = (value) => {
+    if (value === 'custom') {
+      if (loadedRange) applyRange(loadedRange.from, loadedRange.to);
+      return;
+    }
+    setCustomRange(null);
+    setDraftRange(null);
+    setTimeRange(Number(value));
+  };
+
+  // Raw exports are limited to a week (MAX_RAW_SPAN_HOURS on the server)
+  const exportHours = customRange
+    ? (Date.parse(customRange.to) - Date.parse(customRange.from)) / 3600000
+    : timeRange;
+  const exportResolution = exportHours > 7 * 24 ? 'hourly' : 'raw';
+
+  // Downloads the readings behind the charts (same range and room), as
+  // hourly summaries for ranges longer than a week
+  const handleExport = async () => {
+    try {
+      const response = await apiFetch(`/export?${rangeQuery}&format=csv&resolution=${exportResolution}${deviceQuery && `&${deviceQuery}`}`);
+      if (!response.ok) {
+        const { error: message } = await response.json().catch(() => ({}));
+        throw new Error(message || `${response.status}`);
       }
-    },
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'air-quality.csv';
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      setError('Failed to export data: ' + error.message);
+    }
+  };
+
+  const handleDraftApply = () => {
+    const from = Date.parse(draftRange.from);
+    const to = Date.parse(draftRange.to);
+    if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+      setError('Pick a start time before the end time.');
+      return;
+    }
+    setError(null);
+    applyRange(from, to);
   };
 
+  if (shareToken) {
+    return <SharedDashboard shareToken={shareToken} />;
+  }
+
   if (isLoading) {
     return (
       <div style={{ 
@@ -386,6 +2478,10 @@ function App() {
     );
   }
 
+  if (inviteToken) {
+    return <AcceptInvite inviteToken={inviteToken} onAccepted={handleInviteAccepted} />;
+  }
+
   if (!isAuthenticated) {
     return (
       <div style={{ 
@@ -398,12 +2494,37 @@ function App() {
       }}>
         <h1 style={{ marginBottom: '1.5rem', color: colors.text }}>Den AQ Dashboard</h1>
         {error && <div style={{ color: colors.danger, marginBottom: '1rem' }}>{error}</div>}
+        {loginWait > 0 && (
+          <div role="status" style={{ color: colors.moderate, marginBottom: '1rem' }}>
+            You can try again in {formatAge(loginWait)}.
+          </div>
+        )}
         <form onSubmit={handleLogin}>
+          <div style={{ marginBottom: '1rem' }}>
+            <label htmlFor="username" style={{ display: 'block', marginBottom: '0.5rem', color: colors.text }}>Username</label>
+            <input
+              type="text"
+              id="username"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              style={{
+                width: '100%',
+                padding: '0.5rem',
+                borderRadius: '4px',
+                border: `1px solid ${colors.border}`,
+                backgroundColor: colors.inputBackground,
+                color: colors.text
+              }}
+              disabled={isLoading}
+            />
+          </div>
           <div style={{ marginBottom: '1rem' }}>
             <label htmlFor="password" style={{ display: 'block', marginBottom: '0.5rem', color: colors.text }}>Password</label>
             <input
               type="password"
               id="password"
+              autoComplete="current-password"
               value={password}
               onChange={(e) => setPassword(e.target.value)}
               style={{
@@ -428,9 +2549,9 @@ function App() {
               borderRadius: '4px',
               cursor: 'pointer'
             }}
-            disabled={isLoading}
+            disabled={isLoading || loginWait > 0}
           >
-            {isLoading ? 'Logging in...' : 'Login'}
+            {isLoading ? 'Logging in...' : loginWait > 0 ? `Wait ${formatAge(loginWait)}` : 'Login'}
           </button>
         </form>
       </div>
@@ -452,103 +2573,30 @@ function App() {
         marginBottom: '1rem'
       }}>
         <h1 style={{ color: colors.text }}>Den AQ Dashboard</h1>
-        <button
-          onClick={handleLogout}
-          style={{
-            padding: '0.5rem 1rem',
-            backgroundColor: colors.danger,
-            color: colors.text,
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer'
-          }}
-        >
-          Logout
-        </button>
-      </div>
-      <div style={{ 
-        backgroundColor: colors.cardBackground,
-        padding: '1.5rem',
-        borderRadius: '8px',
-        boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
-        marginBottom: '2rem'
-      }}>
-        <h2 style={{ marginBottom: '1rem', color: colors.text }}>Current Readings</h2>
-        {sensorData.length > 0 ? (
-          <div style={{ 
-            display: 'grid', 
-            gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
-            gap: '1rem'
-          }}>
-            <div>
-              <h3 style={{ color: colors.textSecondary, marginBottom: '0.5rem' }}>Temperature</h3>
-              <p style={{ 
-                fontSize: '1.5rem', 
-                color: getReadingColor('temperature', sensorData[sensorData.length - 1].temperature),
-                fontWeight: 'bold'
-              }}>
-                {sensorData[sensorData.length - 1].temperature.toFixed(1)}°F
-              </p>
-            </div>
-            <div>
-              <h3 style={{ color: colors.textSecondary, marginBottom: '0.5rem' }}>Humidity</h3>
-              <p style={{ 
-                fontSize: '1.5rem', 
-                color: getReadingColor('humidity', sensorData[sensorData.length - 1].humidity),
-                fontWeight: 'bold'
-              }}>
-                {sensorData[sensorData.length - 1].humidity.toFixed(1)}%
-              </p>
-            </div>
-            <div>
-              <h3 style={{ color: colors.textSecondary, marginBottom: '0.5rem' }}>VOC Index</h3>
-              <p style={{ 
-                fontSize: '1.5rem', 
-                color: getReadingColor('voc', sensorData[sensorData.length - 1].voc_index),
-                fontWeight: 'bold'
-              }}>
-                {sensorData[sensorData.length - 1].voc_index.toFixed(1)}
-              </p>
-            </div>
-            <div>
-              <h3 style={{ color: colors.textSecondary, marginBottom: '0.5rem' }}>Average PM</h3>
-              <p style={{ 
-                fontSize: '1.5rem', 
-                color: getReadingColor('pm', (sensorData[sensorData.length - 1].pm1_0 + 
-                  sensorData[sensorData.length - 1].pm2_5 + 
-                  sensorData[sensorData.length - 1].pm10_0) / 3),
-                fontWeight: 'bold'
-              }}>
-                {((sensorData[sensorData.length - 1].pm1_0 + 
-                  sensorData[sensorData.length - 1].pm2_5 + 
-                  sensorData[sensorData.length - 1].pm10_0) / 3).toFixed(1)} µg/m³
-              </p>
-            </div>
-          </div>
-        ) : (
-          <p style={{ color: colors.textSecondary }}>No data available for the selected time range.</p>
-        )}
-      </div>
-
-      <div style={{ 
-        backgroundColor: colors.cardBackground,
-        padding: '1.5rem',
-        borderRadius: '8px',
-        boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
-        marginBottom: '2rem'
-      }}>
-        <div style={{ 
-          display: 'flex', 
-          justifyContent: 'space-between', 
-          alignItems: 'center',
-          marginBottom: '1rem'
-        }}>
-          <h2 style={{ color: colors.text }}>Historical Data</h2>
-          <select
-            value={timeRange}
-            onChange={(e) => setTimeRange(Number(e.target.value))}
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          {devices.length > 1 && (
+            <select
+              value={selectedDevice}
+              onChange={(e) => setSelectedDevice(e.target.value)}
+              style={{
+                padding: '0.5rem',
+                backgroundColor: colors.inputBackground,
+                color: colors.text,
+                border: `1px solid ${colors.border}`,
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              <option value="all">All Rooms</option>
+              {devices.map(device => (
+                <option key={device.id} value={device.id}>{device.label}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={() => setView(view === 'settings' ? 'dashboard' : 'settings')}
             style={{
-              padding: '0.5rem',
+              padding: '0.5rem 1rem',
               backgroundColor: colors.inputBackground,
               color: colors.text,
               border: `1px solid ${colors.border}`,
@@ -556,520 +2604,231 @@ function App() {
               cursor: 'pointer'
             }}
           >
-            <option value="1">Last Hour</option>
-            <option value="6">Last 6 Hours</option>
-            <option value="12">Last 12 Hours</option>
-            <option value="24">Last 24 Hours</option>
-            <option value="48">Last 48 Hours</option>
-            <option value="72">Last 72 Hours</option>
-          </select>
+            {view === 'settings' ? 'Dashboard' : 'Settings'}
+          </button>
+          {currentUser?.role === 'admin' && (
+            <button
+              onClick={() => setView(view === 'admin' ? 'dashboard' : 'admin')}
+              style={{
+                padding: '0.5rem 1rem',
+                backgroundColor: colors.inputBackground,
+                color: colors.text,
+                border: `1px solid ${colors.border}`,
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              {view === 'admin' ? 'Dashboard' : 'Admin'}
+            </button>
+          )}
+          <button
+            onClick={handleLogoutEverywhere}
+            style={{
+              padding: '0.5rem 1rem',
+              backgroundColor: colors.inputBackground,
+              color: colors.text,
+              border: `1px solid ${colors.border}`,
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Sign out everywhere
+          </button>
+          <button
+            onClick={handleLogout}
+            style={{
+              padding: '0.5rem 1rem',
+              backgroundColor: colors.danger,
+              color: colors.text,
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Logout
+          </button>
         </div>
-        <div style={{ 
-          display: 'grid', 
-          gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
-          gap: '1rem'
-        }}>
-          {/* Real-time graphs with dark theme */}
-          <div style={{ 
-            background: colors.cardBackground, 
-            padding: '1rem', 
-            borderRadius: '8px',
-            boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
-          }}>
-            <h3 style={{ marginBottom: '0.5rem', fontSize: '1rem', color: colors.text }}>Temperature</h3>
-            <div style={{ height: '200px' }}>
-              <Line
-                data={{
-                  labels: sensorData.map(d => new Date(d.timestamp).toLocaleTimeString()),
-                  datasets: [{
-                    label: 'Temperature (°C)',
-                    data: sensorData.map(d => d.temperature),
-                    borderColor: 'rgb(255, 99, 132)',
-                    backgroundColor: 'rgba(255, 99, 132, 0.1)',
-                    fill: true,
-                    tension: 0.4
-                  }]
-                }}
-                options={{
-                  responsive: true,
-                  maintainAspectRatio: false,
-                  plugins: {
-                    legend: { display: false },
-                    tooltip: {
-                      callbacks: {
-                        label: (context) => `Temperature: ${context.raw.toFixed(1)}°C`
-                      }
-                    }
-                  },
-                  scales: {
-                    y: {
-                      beginAtZero: false,
-                      grid: {
-                        color: colors.chartGrid
-                      },
-                      ticks: {
-                        color: colors.chartText
-                      },
-                      title: {
-                        display: true,
-                        text: 'Temperature (°C)',
-                        color: colors.chartText
-                      }
-                    },
-                    x: {
-                      grid: {
-                        color: colors.chartGrid
-                      },
-                      ticks: {
-                        color: colors.chartText
-                      }
-                    }
-                  }
-                }}
-              />
-            </div>
-          </div>
-
-          {/* Repeat similar styling for other graphs */}
+      </div>
+      {view === 'admin' ? (
+        <>
+          <UsersPage currentUser={currentUser} />
+          <ShareLinksPage devices={devices} />
+          <AlertRulesPage devices={devices} settings={settings} />
+        </>
+      ) : view === 'settings' ? (
+        <SettingsPage settings={settings} onChange={setSettings} />
+      ) : (
+        <>
+          <StaleBanner statuses={deviceStatus} />
           <div style={{ 
-            background: colors.cardBackground, 
-            padding: '1rem', 
+            backgroundColor: colors.cardBackground,
+            padding: '1.5rem',
             borderRadius: '8px',
-            boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
+            boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+            marginBottom: '2rem'
           }}>
-            <h3 style={{ marginBottom: '0.5rem', fontSize: '1rem', color: colors.text }}>Humidity</h3>
-            <div style={{ height: '200px' }}>
-              <Line
-                data={{
-                  labels: sensorData.map(d => new Date(d.timestamp).toLocaleTimeString()),
-                  datasets: [{
-                    label: 'Humidity (%)',
-                    data: sensorData.map(d => d.humidity),
-                    borderColor: 'rgb(54, 162, 235)',
-                    backgroundColor: 'rgba(54, 162, 235, 0.1)',
-                    fill: true,
-                    tension: 0.4
-                  }]
-                }}
-                options={{
-                  responsive: true,
-                  maintainAspectRatio: false,
-                  plugins: {
-                    legend: { display: false },
-                    tooltip: {
-                      callbacks: {
-                        label: (context) => `Humidity: ${context.raw.toFixed(1)}%`
-                      }
-                    }
-                  },
-                  scales: {
-                    y: {
-                      beginAtZero: false,
-                      grid: {
-                        color: colors.chartGrid
-                      },
-                      ticks: {
-                        color: colors.chartText
-                      },
-                      title: {
-                        display: true,
-                        text: 'Humidity (%)',
-                        color: colors.chartText
-                      }
-                    },
-                    x: {
-                      grid: {
-                        color: colors.chartGrid
-                      },
-                      ticks: {
-                        color: colors.chartText
-                      }
-                    }
-                  }
-                }}
-              />
-            </div>
+            <h2 style={{ marginBottom: '1rem', color: colors.text }}>Current Readings</h2>
+            {latestGroups.length > 0 ? (
+              latestGroups.map(group => (
+                <div key={group.id} style={{ marginBottom: latestGroups.length > 1 ? '1.5rem' : 0 }}>
+                  {latestGroups.length > 1 && (
+                    <h3 style={{ color: group.color, marginBottom: '0.75rem' }}>{group.label}</h3>
+                  )}
+                  <CurrentReadings
+                    reading={group.rows[group.rows.length - 1]}
+                    aqi={aqiReadings.find(entry => entry.device_id === group.id)}
+                    settings={settings}
+                  />
+                </div>
+              ))
+            ) : (
+              <p style={{ color: colors.textSecondary }}>No readings received yet.</p>
+            )}
           </div>
 
           <div style={{ 
-            background: colors.cardBackground, 
-            padding: '1rem', 
+            backgroundColor: colors.cardBackground,
+            padding: '1.5rem',
             borderRadius: '8px',
-            boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
+            boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+            marginBottom: '2rem'
           }}>
-            <h3 style={{ marginBottom: '0.5rem', fontSize: '1rem', color: colors.text }}>VOC Index</h3>
-            <div style={{ height: '200px' }}>
-              <Line
-                data={{
-                  labels: sensorData.map(d => new Date(d.timestamp).toLocaleTimeString()),
-                  datasets: [{
-                    label: 'VOC Index',
-                    data: sensorData.map(d => d.voc_index),
-                    borderColor: 'rgb(75, 192, 192)',
-                    backgroundColor: 'rgba(75, 192, 192, 0.1)',
-                    fill: true,
-                    tension: 0.4
-                  }]
-                }}
-                options={{
-                  responsive: true,
-                  maintainAspectRatio: false,
-                  plugins: {
-                    legend: { display: false },
-                    tooltip: {
-                      callbacks: {
-                        label: (context) => `VOC Index: ${context.raw.toFixed(1)}`
-                      }
-                    }
-                  },
-                  scales: {
-                    y: {
-                      beginAtZero: false,
-                      grid: {
-                        color: colors.chartGrid
-                      },
-                      ticks: {
-                        color: colors.chartText
-                      },
-                      title: {
-                        display: true,
-                        text: 'VOC Index',
-                        color: colors.chartText
-                      }
-                    },
-                    x: {
-                      grid: {
-                        color: colors.chartGrid
-                      },
-                      ticks: {
-                        color: colors.chartText
-                      }
-                    }
-                  }
-                }}
-              />
-            </div>
+            <h2 style={{ marginBottom: '1rem', color: colors.text }}>Alert History</h2>
+            <AlertHistory events={alertEvents} devices={devices} unit={settings.temperature_unit} />
           </div>
 
           <div style={{ 
-            background: colors.cardBackground, 
-            padding: '1rem', 
+            backgroundColor: colors.cardBackground,
+            padding: '1.5rem',
             borderRadius: '8px',
-            boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
-          }}>
-            <h3 style={{ marginBottom: '0.5rem', fontSize: '1rem', color: colors.text }}>Particulate Matter</h3>
-            <div style={{ height: '200px' }}>
-              <Line
-                data={{
-                  labels: sensorData.map(d => new Date(d.timestamp).toLocaleTimeString()),
-                  datasets: [
-                    {
-                      label: 'PM1.0',
-                      data: sensorData.map(d => d.pm1_0),
-                      borderColor: 'rgb(255, 159, 64)',
-                      backgroundColor: 'rgba(255, 159, 64, 0.1)',
-                      fill: true,
-                      tension: 0.4
-                    },
-                    {
-                      label: 'PM2.5',
-                      data: sensorData.map(d => d.pm2_5),
-                      borderColor: 'rgb(153, 102, 255)',
-                      backgroundColor: 'rgba(153, 102, 255, 0.1)',
-                      fill: true,
-                      tension: 0.4
-                    },
-                    {
-                      label: 'PM10',
-                      data: sensorData.map(d => d.pm10_0),
-                      borderColor: 'rgb(201, 203, 207)',
-                      backgroundColor: 'rgba(201, 203, 207, 0.1)',
-                      fill: true,
-                      tension: 0.4
-                    }
-                  ]
-                }}
-                options={{
-                  responsive: true,
-                  maintainAspectRatio: false,
-                  plugins: {
-                    tooltip: {
-                      callbacks: {
-                        label: (context) => `${context.dataset.label}: ${context.raw.toFixed(1)} µg/m³`
-                      }
-                    }
-                  },
-                  scales: {
-                    y: {
-                      beginAtZero: false,
-                      grid: {
-                        color: colors.chartGrid
-                      },
-                      ticks: {
-                        color: colors.chartText
-                      },
-                      title: {
-                        display: true,
-                        text: 'Concentration (µg/m³)',
-                        color: colors.chartText
-                      }
-                    },
-                    x: {
-                      grid: {
-                        color: colors.chartGrid
-                      },
-                      ticks: {
-                        color: colors.chartText
-                      }
-                    }
-                  }
-                }}
-              />
-            </div>
-          </div>
-        </div>
-      </div>
-
-      <div style={{ marginTop: '2rem' }}>
-        <h2 style={{ marginBottom: '1rem', color: colors.text }}>Daily Averages (Last Two Weeks)</h2>
-        {error && <div style={{ color: colors.danger, marginBottom: '1rem' }}>{error}</div>}
-        {dailyAverages.length === 0 ? (
-          <div style={{ color: colors.textSecondary }}>Loading daily averages...</div>
-        ) : (
-          <div style={{ 
-            display: 'grid', 
-            gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
-            gap: '1rem',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
             marginBottom: '2rem'
           }}>
-            {/* Daily average graphs with dark theme */}
             <div style={{ 
-              background: colors.cardBackground, 
-              padding: '1rem', 
-              borderRadius: '8px',
-              boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
+              display: 'flex', 
+              justifyContent: 'space-between', 
+              alignItems: 'center',
+              marginBottom: '1rem'
             }}>
-              <h3 style={{ marginBottom: '0.5rem', fontSize: '1rem', color: colors.text }}>Temperature Trend</h3>
-              <div style={{ height: '200px' }}>
-                <Line
-                  data={{
-                    labels: dailyAverages.map(d => new Date(d.date).toLocaleDateString()),
-                    datasets: [{
-                      label: 'Average Temperature (°C)',
-                      data: dailyAverages.map(d => d.avg_temperature),
-                      borderColor: 'rgb(255, 99, 132)',
-                      backgroundColor: 'rgba(255, 99, 132, 0.1)',
-                      fill: true,
-                      tension: 0.4
-                    }]
-                  }}
-                  options={{
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                      legend: { display: false },
-                      tooltip: {
-                        callbacks: {
-                          label: (context) => `Temperature: ${context.raw.toFixed(1)}°C`
-                        }
-                      }
-                    },
-                    scales: {
-                      y: {
-                        beginAtZero: false,
-                        grid: {
-                          color: colors.chartGrid
-                        },
-                        ticks: {
-                          color: colors.chartText
-                        },
-                        title: {
-                          display: true,
-                          text: 'Temperature (°C)',
-                          color: colors.chartText
-                        }
-                      }
-                    }
-                  }}
-                />
+              <h2 style={{ color: colors.text }}>Historical Data</h2>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center' }}>
+                {draftRange && (
+                  <>
+                    <input
+                      type="datetime-local"
+                      value={draftRange.from}
+                      onChange={(e) => setDraftRange({ ...draftRange, from: e.target.value })}
+                      style={inputStyle}
+                    />
+                    <span style={{ color: colors.textSecondary }}>to</span>
+                    <input
+                      type="datetime-local"
+                      value={draftRange.to}
+                      onChange={(e) => setDraftRange({ ...draftRange, to: e.target.value })}
+                      style={inputStyle}
+                    />
+                    <button
+                      onClick={handleDraftApply}
+                      style={{ ...inputStyle, backgroundColor: colors.primary, border: 'none', cursor: 'pointer' }}
+                    >
+                      Apply
+                    </button>
+                  </>
+                )}
+                <select
+                  value={customRange ? 'custom' : timeRange}
+                  onChange={(e) => handleRangeSelect(e.target.value)}
+                  style={{ ...inputStyle, cursor: 'pointer' }}
+                >
+                  {rangeOptions.map(option => (
+                    <option key={option.hours} value={option.hours}>{option.label}</option>
+                  ))}
+                  <option value="custom">Custom Range</option>
+                </select>
+                <button
+                  onClick={handleExport}
+                  title={exportResolution === 'raw'
+                    ? 'Download the readings in this range as CSV'
+                    : 'Download hourly summaries of this range as CSV'}
+                  style={{ ...inputStyle, cursor: 'pointer' }}
+                >
+                  Export
+                </button>
               </div>
             </div>
-
+            <p style={{ color: colors.textSecondary, fontSize: '0.85rem', marginBottom: '1rem' }}>
+              Drag across a chart to zoom in, Shift-drag to pan, Ctrl-scroll to zoom in or out.
+            </p>
             <div style={{ 
-              background: colors.cardBackground, 
-              padding: '1rem', 
-              borderRadius: '8px',
-              boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
+              display: 'grid', 
+              gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+              gap: '1rem'
             }}>
-              <h3 style={{ marginBottom: '0.5rem', fontSize: '1rem', color: colors.text }}>Humidity Trend</h3>
-              <div style={{ height: '200px' }}>
-                <Line
-                  data={{
-                    labels: dailyAverages.map(d => new Date(d.date).toLocaleDateString()),
-                    datasets: [{
-                      label: 'Average Humidity (%)',
-                      data: dailyAverages.map(d => d.avg_humidity),
-                      borderColor: 'rgb(54, 162, 235)',
-                      backgroundColor: 'rgba(54, 162, 235, 0.1)',
-                      fill: true,
-                      tension: 0.4
-                    }]
-                  }}
-                  options={{
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                      legend: { display: false },
-                      tooltip: {
-                        callbacks: {
-                          label: (context) => `Humidity: ${context.raw.toFixed(1)}%`
-                        }
-                      }
-                    },
-                    scales: {
-                      y: {
-                        beginAtZero: false,
-                        grid: {
-                          color: colors.chartGrid
-                        },
-                        ticks: {
-                          color: colors.chartText
-                        },
-                        title: {
-                          display: true,
-                          text: 'Humidity (%)',
-                          color: colors.chartText
-                        }
-                      }
-                    }
-                  }}
+              {definitions.map(definition => (
+                <ChartCard
+                  key={definition.title}
+                  title={deviceGroups.length > 1 && definition.overlayTitle ? definition.overlayTitle : definition.title}
+                  axisTitle={definition.axisTitle}
+                  suffix={definition.suffix}
+                  datasets={buildDatasets(deviceGroups, definition, row => new Date(row.timestamp).getTime())}
+                  xScale={timeScale}
+                  tooltipTitle={timeTooltipTitle}
+                  zoom={chartZoom}
+                  limits={chartLimits(definition)}
                 />
-              </div>
+              ))}
             </div>
+          </div>
 
-            <div style={{ 
-              background: colors.cardBackground, 
-              padding: '1rem', 
-              borderRadius: '8px',
-              boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
-            }}>
-              <h3 style={{ marginBottom: '0.5rem', fontSize: '1rem', color: colors.text }}>VOC Index Trend</h3>
-              <div style={{ height: '200px' }}>
-                <Line
-                  data={{
-                    labels: dailyAverages.map(d => new Date(d.date).toLocaleDateString()),
-                    datasets: [{
-                      label: 'Average VOC Index',
-                      data: dailyAverages.map(d => d.avg_voc_index),
-                      borderColor: 'rgb(75, 192, 192)',
-                      backgroundColor: 'rgba(75, 192, 192, 0.1)',
-                      fill: true,
-                      tension: 0.4
-                    }]
-                  }}
-                  options={{
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                      legend: { display: false },
-                      tooltip: {
-                        callbacks: {
-                          label: (context) => `VOC Index: ${context.raw.toFixed(1)}`
-                        }
-                      }
-                    },
-                    scales: {
-                      y: {
-                        beginAtZero: false,
-                        grid: {
-                          color: colors.chartGrid
-                        },
-                        ticks: {
-                          color: colors.chartText
-                        },
-                        title: {
-                          display: true,
-                          text: 'VOC Index',
-                          color: colors.chartText
-                        }
-                      }
-                    }
-                  }}
-                />
-              </div>
+          <div style={{ marginTop: '2rem' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginBottom: '1rem', flexWrap: 'wrap' }}>
+              <h2 style={{ color: colors.text }}>Averages</h2>
+              <select value={averagePeriod} onChange={(e) => {
+                setDailyAverages([]);
+                setAveragePeriod(e.target.value);
+              }} style={inputStyle}>
+                {averageOptions.map(option => <option key={option.period} value={option.period}>{option.label}</option>)}
+              </select>
             </div>
-
-            <div style={{ 
-              background: colors.cardBackground, 
-              padding: '1rem', 
-              borderRadius: '8px',
-              boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
-            }}>
-              <h3 style={{ marginBottom: '0.5rem', fontSize: '1rem', color: colors.text }}>Particulate Matter Trend</h3>
-              <div style={{ height: '200px' }}>
-                <Line
-                  data={{
-                    labels: dailyAverages.map(d => new Date(d.date).toLocaleDateString()),
-                    datasets: [
-                      {
-                        label: 'PM1.0',
-                        data: dailyAverages.map(d => d.avg_pm1_0),
-                        borderColor: 'rgb(255, 159, 64)',
-                        backgroundColor: 'rgba(255, 159, 64, 0.1)',
-                        fill: true,
-                        tension: 0.4
-                      },
-                      {
-                        label: 'PM2.5',
-                        data: dailyAverages.map(d => d.avg_pm2_5),
-                        borderColor: 'rgb(153, 102, 255)',
-                        backgroundColor: 'rgba(153, 102, 255, 0.1)',
-                        fill: true,
-                        tension: 0.4
-                      },
-                      {
-                        label: 'PM10',
-                        data: dailyAverages.map(d => d.avg_pm10),
-                        borderColor: 'rgb(201, 203, 207)',
-                        backgroundColor: 'rgba(201, 203, 207, 0.1)',
-                        fill: true,
-                        tension: 0.4
-                      }
-                    ]
-                  }}
-                  options={{
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                      tooltip: {
-                        callbacks: {
-                          label: (context) => `${context.dataset.label}: ${context.raw.toFixed(1)} µg/m³`
-                        }
-                      }
-                    },
-                    scales: {
-                      y: {
-                        beginAtZero: false,
-                        grid: {
-                          color: colors.chartGrid
-                        },
-                        ticks: {
-                          color: colors.chartText
-                        },
-                        title: {
-                          display: true,
-                          text: 'Concentration (µg/m³)',
-                          color: colors.chartText
-                        }
+            {error && <div style={{ color: colors.danger, marginBottom: '1rem' }}>{error}</div>}
+            {dailyAverages.length === 0 ? (
+              <div style={{ color: colors.textSecondary }}>Loading daily averages...</div>
+            ) : (
+              <div style={{ 
+                display: 'grid', 
+                gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+                gap: '1rem',
+                marginBottom: '2rem'
+              }}>
+                {definitions.map(definition => (
+                  <ChartCard
+                    key={definition.title}
+                    title={`${dailyGroups.length > 1 && definition.overlayTitle ? definition.overlayTitle : definition.title} Trend`}
+                    axisTitle={definition.axisTitle}
+                    suffix={definition.suffix}
+                    datasets={buildDatasets(dailyGroups, definition, row => row.date, 'dailyKey')}
+                    xScale={{
+                      type: 'category',
+                      labels: dailyLabels,
+                      ticks: {
+                        color: colors.chartText,
+                        // Parsing a bare YYYY-MM-DD as UTC would shift it a day west of Greenwich
+                        callback: (value) => formatPeriod(dailyLabels[value], averagePeriod)
                       }
-                    }
-                  }}
-                />
+                    }}
+                    limits={chartLimits(definition)}
+                  />
+                ))}
               </div>
-            </div>
+            )}
           </div>
-        )}
-      </div>
+
+          <div style={{ marginTop: '2rem' }}>
+            <h2 style={{ marginBottom: '1rem', color: colors.text }}>Patterns</h2>
+            <PatternsPanel devices={devices} selectedDevice={selectedDevice} unit={settings.temperature_unit} />
+          </div>
+        </>
+      )}
     </div>
   );
 }